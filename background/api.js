@@ -1,6 +1,8 @@
 // StarkChrome v2 — OpenClaw Webhook Client
 // Single endpoint. Rare calls. Only when something is worth the agent's attention.
 
+import { redactText } from './redact.js';
+
 const DEFAULT_CONFIG = {
   webhookUrl: '',
   token: '',
@@ -12,6 +14,9 @@ const DEFAULT_CONFIG = {
   sendDownloads: true,
   sendComeback: true,
   comebackMinutes: 30,
+  // Digest — path segments kept when grouping time by page, per domain
+  // (e.g. { 'github.com': 2 } → github.com/org/repo). See tracker.js defaults.
+  pathDepths: {},
 };
 
 let cachedConfig = null;
@@ -36,6 +41,11 @@ export function getConfig() {
   return cachedConfig || DEFAULT_CONFIG;
 }
 
+// Called from the service worker's storage listener when `config` changes
+export function applyConfigChange(config) {
+  cachedConfig = { ...DEFAULT_CONFIG, ...config };
+}
+
 export function isConfigured() {
   const c = getConfig();
   return !!(c.webhookUrl && c.token && c.enabled);
@@ -52,7 +62,7 @@ export async function postToAgent(message, wakeMode = 'now', overrides = {}) {
   }
 
   const payload = {
-    message,
+    message: redactText(message).text,
     sessionKey: overrides.sessionKey || config.sessionKey || 'starkchrome',
     name: overrides.name || 'StarkChrome',
     wakeMode,
@@ -140,10 +150,3 @@ export async function getStats() {
   const result = await chrome.storage.local.get('webhookStats');
   return result.webhookStats || { sent: 0, failed: 0, lastSend: null, lastError: null };
 }
-
-// Listen for config changes
-chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'local' && changes.config) {
-    cachedConfig = changes.config.newValue;
-  }
-});
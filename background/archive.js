@@ -0,0 +1,79 @@
+// StarkChrome v2 — Archive Export / Import
+// The options page "Export History" file, and restoring it on a new
+// machine or after a reinstall. Imports merge into what's already stored.
+// Archives carry events, page content and daily rollups.
+
+import { exportEvents, importEvents, mergePageContent } from './store.js';
+import { indexPage } from './search.js';
+import { getAllRollups, restoreRollups } from './rollups.js';
+import { withQuotaRetry } from './retention.js';
+import { isLocked, openStored } from './vault.js';
+
+const ARCHIVE_VERSION = '2.1';          // 2.0 = events only, 2.1 adds pageContent
+const SUPPORTED_MAJOR = 2;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Full archive: every event plus stored page content by day. Refused while
+// the store is locked — sealed days can't be read, so the archive would be partial.
+export async function exportArchive() {
+  if (isLocked()) return { success: false, reason: 'locked' };
+  const archive = await exportEvents();
+  archive.version = ARCHIVE_VERSION;
+  archive.pageContent = {};
+
+  const all = await chrome.storage.local.get(null);
+  for (const [key, value] of Object.entries(all)) {
+    if (!key.startsWith('content_')) continue;
+    const pages = await openStored(value);
+    if (Array.isArray(pages)) archive.pageContent[key.slice('content_'.length)] = pages;
+  }
+  archive.rollups = await getAllRollups();
+  return archive;
+}
+
+// Returns a reason string if the archive can't be imported, else null
+export function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object') return 'not_an_archive';
+  if (typeof archive.version !== 'string') return 'missing_version';
+  const major = parseInt(archive.version.split('.')[0], 10);
+  if (major !== SUPPORTED_MAJOR) return `unsupported_version_${archive.version}`;
+  if (!Array.isArray(archive.events)) return 'missing_events';
+  return null;
+}
+
+// Merge an exported archive into the store
+export async function importArchive(archive) {
+  const reason = validateArchive(archive);
+  if (reason) return { success: false, reason };
+
+  const events = archive.events.filter(isValidEvent);
+  const { added, skipped } = await importEvents(events);
+
+  let pagesRestored = 0;
+  for (const [date, pages] of Object.entries(archive.pageContent || {})) {
+    if (!DATE_RE.test(date) || !Array.isArray(pages)) continue;
+    const stored = await withQuotaRetry(() => mergePageContent(date, pages.filter(isValidPage)));
+    for (const entry of stored) await indexPage(entry, date);
+    pagesRestored += stored.length;
+  }
+
+  const rollupsRestored = await restoreRollups(archive.rollups);
+
+  console.log(`[StarkChrome] Archive imported: ${added} events, ${pagesRestored} pages, ${rollupsRestored} rollups`);
+  return {
+    success: true,
+    added,
+    skipped,
+    invalid: archive.events.length - events.length,
+    pagesRestored,
+    rollupsRestored,
+  };
+}
+
+function isValidEvent(e) {
+  return e && typeof e.t === 'number' && typeof e.type === 'string' && typeof (e.url ?? '') === 'string';
+}
+
+function isValidPage(p) {
+  return p && typeof p.url === 'string' && typeof p.timeSpent === 'number';
+}
@@ -49,6 +49,17 @@ export function categoryLabel(cat) {
   return LABELS[cat] || 'Other';
 }
 
+// Short lowercase name for running text ("deep dev session")
+const SHORT = {
+  dev: 'dev', ai: 'AI', social: 'social', news: 'news', video: 'video',
+  shopping: 'shopping', email: 'email', finance: 'finance', docs: 'docs',
+  education: 'research', communication: 'chat', other: 'browsing',
+};
+
+export function categoryShort(cat) {
+  return SHORT[cat] || 'browsing';
+}
+
 // Get the emoji for a category
 const EMOJI = {
   dev: '💻', ai: '🤖', social: '💬', news: '📰', video: '🎬',
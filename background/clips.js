@@ -0,0 +1,174 @@
+// StarkChrome v2 — Clips ("Send to Stark")
+// Sends something the user picked straight to the agent: the whole page
+// (Cmd+Shift+S or the page context menu), a selection, a link or an image
+// (context menus). Each kind has its own message format. Every clip is also
+// recorded locally as a `clip.sent` event, which the digest lists.
+
+import { postToAgent } from './api.js';
+import { recordEvent } from './store.js';
+import { shouldTrack } from './privacy.js';
+import { extractTabContent } from './pdf.js';
+import { formatPageKind } from './page-kinds.js';
+import { recordWithheld } from './tracker.js';
+import { truncateMarkdown } from './text.js';
+
+const MENUS = [
+  { id: 'send-to-stark', kind: 'page', title: 'Send page to Stark', contexts: ['page'] },
+  { id: 'send-selection-to-stark', kind: 'selection', title: 'Send selection to Stark', contexts: ['selection'] },
+  { id: 'send-link-to-stark', kind: 'link', title: 'Send link to Stark', contexts: ['link'] },
+  { id: 'send-image-to-stark', kind: 'image', title: 'Send image to Stark', contexts: ['image'] },
+];
+
+const MAX_CLIP_TEXT = 500;      // clip text kept in the local event
+const MAX_PAGE_MARKDOWN = 10000; // page Markdown sent to the agent
+
+// (Re)create the context menu entries — on install/update
+export function createClipMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const { id, title, contexts } of MENUS) chrome.contextMenus.create({ id, title, contexts });
+  });
+}
+
+// Context menu click → { success, reason? } (null if not one of ours)
+export async function handleClipMenu(info, tab) {
+  const menu = MENUS.find(m => m.id === info.menuItemId);
+  if (!menu || !tab) return null;
+  switch (menu.kind) {
+    case 'page': return sendPage(tab);
+    case 'selection': return sendSelection(info, tab);
+    case 'link': return sendLink(info, tab);
+    case 'image': return sendImage(info, tab);
+  }
+  return null;
+}
+
+// ============================================================
+// KINDS
+// ============================================================
+
+export async function sendPage(tab) {
+  const content = await extractTabContent(tab.id, tab.url);
+  if (content?.withheld) {
+    if (shouldTrack(tab.url)) await recordWithheld(tab.url, tab.title, content.withheld, 'clip');
+    return { success: false, reason: 'sensitive_page' };
+  }
+  if (!content || !content.text) return { success: false, reason: 'no_content' };
+
+  const lines = [
+    `[StarkChrome] User sent page content:`,
+    ``,
+    `Title: ${content.meta?.title || tab.title || ''}`,
+    `URL: ${content.meta?.url || tab.url || ''}`,
+  ];
+  if (content.meta?.author) lines.push(`Author: ${content.meta.author}`);
+  if (content.meta?.publishDate) lines.push(`Published: ${content.meta.publishDate}`);
+  lines.push(...formatPageKind(content));
+  lines.push(`Word count: ${content.wordCount || 0}`);
+  lines.push(``);
+  lines.push(`Content:`);
+  lines.push(truncateMarkdown(content.markdown, MAX_PAGE_MARKDOWN) || content.text);
+
+  return deliver(lines, tab, { kind: 'page', pageKind: content.kind || 'article', text: content.meta?.description || '' });
+}
+
+// Selected text + the text around it + the heading it sits under
+async function sendSelection(info, tab) {
+  const clip = await askContentScript(tab, info, { type: 'extract_clip', kind: 'selection' });
+  const text = clip?.text || (info.selectionText || '').trim();
+  if (!text) return { success: false, reason: 'no_selection' };
+
+  const lines = [
+    `[StarkChrome] User sent a selection:`,
+    ``,
+    `From: ${tab.title || ''}`,
+    `URL: ${info.pageUrl || tab.url || ''}`,
+  ];
+  if (clip?.heading) lines.push(`Section: ${clip.heading}`);
+  lines.push(``, `Selected:`, quote(text));
+  if (clip?.before || clip?.after) {
+    lines.push(``, `In context:`, `…${clip.before} [${text}] ${clip.after}…`);
+  }
+
+  return deliver(lines, tab, { kind: 'selection', text, heading: clip?.heading || '' });
+}
+
+// A link the user hasn't opened: where it points, its text, where it was found
+async function sendLink(info, tab) {
+  if (!info.linkUrl) return { success: false, reason: 'no_link' };
+  const clip = await askContentScript(tab, info, { type: 'extract_clip', kind: 'link', linkUrl: info.linkUrl });
+  const linkText = clip?.text || info.selectionText || '';
+
+  const lines = [
+    `[StarkChrome] User sent a link (not opened yet):`,
+    ``,
+    `Link: ${linkText || info.linkUrl}`,
+    `URL: ${info.linkUrl}`,
+  ];
+  if (clip?.linkTitle) lines.push(`Link title: ${clip.linkTitle}`);
+  lines.push(`Found on: ${tab.title || ''} — ${info.pageUrl || tab.url || ''}`);
+  if (clip?.heading) lines.push(`Section: ${clip.heading}`);
+  if (clip?.context && clip.context !== linkText) lines.push(``, `Context:`, quote(clip.context));
+
+  return deliver(lines, tab, { kind: 'link', text: linkText, linkUrl: info.linkUrl, heading: clip?.heading || '' });
+}
+
+// An image with its alt text and caption
+async function sendImage(info, tab) {
+  if (!info.srcUrl) return { success: false, reason: 'no_image' };
+  const clip = await askContentScript(tab, info, { type: 'extract_clip', kind: 'image', srcUrl: info.srcUrl });
+  // Inline data: images can be huge and mean nothing to the agent as a URL
+  const imageUrl = info.srcUrl.startsWith('data:') ? '' : info.srcUrl;
+
+  const lines = [
+    `[StarkChrome] User sent an image:`,
+    ``,
+    `Image: ${imageUrl || '(inline image)'}`,
+  ];
+  if (clip?.alt) lines.push(`Alt text: ${clip.alt}`);
+  if (clip?.imageTitle) lines.push(`Title: ${clip.imageTitle}`);
+  if (clip?.caption) lines.push(`Caption: ${clip.caption}`);
+  if (clip?.width && clip?.height) lines.push(`Size: ${clip.width}×${clip.height}`);
+  lines.push(`Found on: ${tab.title || ''} — ${info.pageUrl || tab.url || ''}`);
+  if (clip?.heading) lines.push(`Section: ${clip.heading}`);
+
+  return deliver(lines, tab, {
+    kind: 'image',
+    text: clip?.caption || clip?.alt || '',
+    imageUrl,
+    heading: clip?.heading || '',
+  });
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+// Content script only runs in the top frame; elsewhere (frames, PDFs,
+// chrome pages) fall back to what the menu click itself carries
+async function askContentScript(tab, info, message) {
+  if (info.frameId) return null;
+  try {
+    return await chrome.tabs.sendMessage(tab.id, message, { frameId: 0 });
+  } catch (e) {
+    return null;
+  }
+}
+
+async function deliver(lines, tab, clip) {
+  const result = await postToAgent(lines.join('\n'));
+  await recordClip(tab, clip, result.success);
+  return result;
+}
+
+// Local clip.sent event — only the kind for pages that aren't tracked
+async function recordClip(tab, clip, delivered) {
+  const trackable = tab.url && shouldTrack(tab.url);
+  const data = trackable
+    ? { ...clip, url: tab.url, title: tab.title, text: (clip.text || '').slice(0, MAX_CLIP_TEXT) }
+    : { kind: clip.kind };
+  await recordEvent({ type: 'clip.sent', data: { ...data, delivered } });
+}
+
+function quote(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
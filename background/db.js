@@ -0,0 +1,165 @@
+// StarkChrome v2 — IndexedDB Access
+// Thin promise wrapper around the extension's IndexedDB database.
+// The event log lives here (indexed by time, domain, type and category)
+// instead of one big chrome.storage array, next to the search index.
+
+const DB_NAME = 'starkchrome';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+// Open (and upgrade if needed) the database. Cached for the SW lifetime.
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion, request.transaction);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context upgraded the schema — drop our handle so the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Schema upgrades — one block per version, applied in order
+function upgrade(db, oldVersion, tx) {
+  if (oldVersion < 1) {
+    const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+    events.createIndex('t', 't');
+    events.createIndex('domain', 'domain');
+    events.createIndex('type', 'type');
+    events.createIndex('cat', 'cat');
+    db.createObjectStore('meta');
+  }
+  if (oldVersion < 2) {
+    // Full-text search over page content (see search.js)
+    const docs = db.createObjectStore('searchDocs', { keyPath: 'id' });
+    docs.createIndex('date', 'date');
+    docs.createIndex('domain', 'domain');
+    db.createObjectStore('searchTerms', { keyPath: 'term' });
+  }
+  if (oldVersion < 3) {
+    // De-duplication key for archive imports
+    tx.objectStore('events').createIndex('dedup', ['t', 'type', 'url']);
+  }
+}
+
+// Wrap an IDBRequest in a promise
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run fn(stores) inside one transaction; resolves with fn's result once committed
+export async function withStores(names, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+  const stores = Object.fromEntries([].concat(names).map(n => [n, tx.objectStore(n)]));
+  const result = await fn(stores);
+  await done;
+  return result;
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+export async function dbGet(storeName, key) {
+  return withStores(storeName, 'readonly', s => promisify(s[storeName].get(key)));
+}
+
+export async function dbPut(storeName, value, key) {
+  return withStores(storeName, 'readwrite', s => promisify(s[storeName].put(value, key)));
+}
+
+export async function dbAdd(storeName, value) {
+  return withStores(storeName, 'readwrite', s => promisify(s[storeName].add(value)));
+}
+
+// Add many records in a single transaction
+export async function dbAddAll(storeName, values) {
+  if (values.length === 0) return 0;
+  await withStores(storeName, 'readwrite', (s) => {
+    for (const v of values) s[storeName].add(v);
+  });
+  return values.length;
+}
+
+// Put many records in a single transaction
+export async function dbPutAll(storeName, values) {
+  if (values.length === 0) return 0;
+  await withStores(storeName, 'readwrite', (s) => {
+    for (const v of values) s[storeName].put(v);
+  });
+  return values.length;
+}
+
+// All records matching a key range on an index (or the primary key if no index),
+// optionally capped at count
+export async function dbGetAll(storeName, indexName, range, count) {
+  return withStores(storeName, 'readonly', (s) => {
+    const source = indexName ? s[storeName].index(indexName) : s[storeName];
+    return promisify(source.getAll(range, count));
+  });
+}
+
+// Up to `limit` records in primary-key order (for size estimates)
+export async function dbSample(storeName, limit) {
+  return withStores(storeName, 'readonly', s => promisify(s[storeName].getAll(null, limit)));
+}
+
+export async function dbCount(storeName, indexName, range) {
+  return withStores(storeName, 'readonly', (s) => {
+    const source = indexName ? s[storeName].index(indexName) : s[storeName];
+    return promisify(source.count(range));
+  });
+}
+
+// First record in index order (direction 'next' or 'prev')
+export async function dbFirst(storeName, indexName, direction = 'next') {
+  return withStores(storeName, 'readonly', s => new Promise((resolve, reject) => {
+    const req = s[storeName].index(indexName).openCursor(null, direction);
+    req.onsuccess = () => resolve(req.result ? req.result.value : null);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+// Delete every record whose index value falls in range (and that passes
+// filter, if given). Returns the count removed.
+export async function dbDeleteRange(storeName, indexName, range, filter) {
+  return withStores(storeName, 'readwrite', s => new Promise((resolve, reject) => {
+    let removed = 0;
+    const req = s[storeName].index(indexName).openCursor(range);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(removed);
+      if (!filter || filter(cursor.value)) {
+        cursor.delete();
+        removed++;
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+export async function dbClear(storeName) {
+  return withStores(storeName, 'readwrite', s => promisify(s[storeName].clear()));
+}
@@ -3,14 +3,21 @@
 // Runs locally in the extension — no LLM needed to build it.
 // Sends once per day to OpenClaw via webhook.
 
-import { getEventsForDay, getDomainStats, getPageContent } from './store.js';
-import { getPageTimes, formatDuration, getTotalActiveTime, resetPageTimes } from './tracker.js';
+import { getPageContent, dayKey } from './store.js';
+import { formatDuration } from './tracker.js';
+import { getRollup } from './rollups.js';
+import { isLocked } from './vault.js';
 import { categoryLabel, categoryEmoji, categorize } from './categories.js';
 import { sendDigest, getConfig } from './api.js';
 import { postToLogger, isLoggerConfigured } from './logger.js';
+import { byReadCompletion, formatReadCompletion } from './engagement.js';
+import { getSessions } from './sessions.js';
+import { formatPageKind } from './page-kinds.js';
+import { summarize } from './summarize.js';
 
 const DIGEST_ALARM = 'starkchrome-daily-digest';
 const LAST_DIGEST_KEY = 'lastDigestDate';
+const MAX_SEARCH_GROUPS = 15;
 
 // Setup the daily digest alarm based on user-configured time
 export function scheduleDigest() {
@@ -50,28 +57,32 @@ export async function buildAndSendDigest(targetDate) {
   const date = targetDate || new Date();
   const dateStr = date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' });
 
+  // Encrypted and locked — the day's events can't be read until unlock
+  if (isLocked()) {
+    console.log('[StarkChrome] Store locked — digest skipped');
+    return { success: false, reason: 'locked' };
+  }
+
   // Check if we already sent a digest for this date
   const lastDigest = (await chrome.storage.local.get(LAST_DIGEST_KEY))[LAST_DIGEST_KEY];
-  const todayKey = date.toISOString().split('T')[0];
+  const todayKey = dayKey(date);
   if (lastDigest === todayKey && !targetDate) {
     console.log('[StarkChrome] Digest already sent for today');
     return { success: false, reason: 'already_sent' };
   }
 
-  // Gather data
-  const events = getEventsForDay(date);
-  if (events.length === 0) {
+  // Gather data — the day's rollup (stored for past days, live for today)
+  const rollup = await getRollup(todayKey);
+  if (rollup.eventCount === 0) {
     console.log('[StarkChrome] No events for digest');
     return { success: false, reason: 'no_events' };
   }
 
-  const domainStats = getDomainStats(events);
-  const pageTimes = getPageTimes();
-  const totalActive = getTotalActiveTime();
   const pageContents = await getPageContent(todayKey);
+  const sessions = rollup.sessions || await getSessions(todayKey);   // rollups before v4 lack them
 
   // Build the digest message
-  const message = formatDigest(dateStr, events, domainStats, pageTimes, totalActive, pageContents);
+  const message = formatDigest(dateStr, rollup, pageContents, sessions);
 
   // Dual delivery: webhook (agent) + logger (markdown files)
   const results = { webhook: null, logger: null };
@@ -87,8 +98,8 @@ export async function buildAndSendDigest(targetDate) {
       data: {
         date: todayKey,
         message,
-        eventCount: events.length,
-        domainCount: Object.keys(domainStats).length,
+        eventCount: rollup.eventCount,
+        domainCount: Object.keys(rollup.domains).length,
         pageContentCount: pageContents?.length || 0,
       },
     });
@@ -98,80 +109,132 @@ export async function buildAndSendDigest(targetDate) {
   // Mark as sent if either endpoint succeeded
   if (results.webhook?.success || results.logger?.success) {
     await chrome.storage.local.set({ [LAST_DIGEST_KEY]: todayKey });
-    resetPageTimes();
   }
 
   return results.webhook || results.logger || { success: false, reason: 'no_endpoint' };
 }
 
 // Format the digest as plain text
-function formatDigest(dateStr, events, domainStats, pageTimes, totalActiveMs, pageContents) {
+function formatDigest(dateStr, rollup, pageContents, sessions) {
   const lines = [];
+  const domainStats = rollup.domains;
 
   lines.push(`[StarkChrome Daily Digest] ${dateStr}`);
   lines.push('');
 
   // Active time
-  const activeStr = totalActiveMs > 0 ? formatDuration(totalActiveMs) : estimateActiveTime(events);
-  lines.push(`Browsing Summary (${activeStr} active):`);
+  const activeStr = rollup.activeMs > 0 ? formatDuration(rollup.activeMs) : estimateActiveTime(rollup);
+  const passiveStr = rollup.passiveMs > 0 ? `, ${formatDuration(rollup.passiveMs)} watched/listened` : '';
+  lines.push(`Browsing Summary (${activeStr} active${passiveStr}):`);
   lines.push('');
 
+  // Topics — what the day was about, across everything read (none before rollup v9)
+  const topics = (rollup.topics || []).slice(0, 8);
+  if (topics.length > 0) {
+    lines.push('Topics Today:');
+    for (const t of topics) lines.push(`- ${t.term} (${t.pages} pages)`);
+    lines.push('');
+  }
+
   // Top sites by visits (with time if available)
-  const sortedDomains = Object.entries(domainStats)
-    .sort((a, b) => b[1].visits - a[1].visits)
-    .slice(0, 15);
+  const sortedDomains = topDomains(domainStats, 15);
 
   if (sortedDomains.length > 0) {
     lines.push('Top Sites:');
     for (const [domain, stats] of sortedDomains) {
-      const timeEntry = pageTimes.find(t => t.domain === domain);
-      const timeStr = timeEntry ? `, ~${formatDuration(timeEntry.totalMs)}` : '';
+      const timeStr = stats.totalMs > 0 ? `, ~${formatDuration(stats.totalMs)}` : '';
       lines.push(`- ${domain} (${stats.visits} visits${timeStr})`);
     }
     lines.push('');
   }
 
-  // Research topics — group by category
-  const byCategory = {};
-  for (const [domain, stats] of Object.entries(domainStats)) {
-    const cat = stats.cat || categorize(domain);
-    if (!byCategory[cat]) byCategory[cat] = [];
-    byCategory[cat].push({ domain, ...stats });
+  // Where the time went — top path prefixes and pages under the top domains
+  const timeLines = formatWhereTimeWent(rollup);
+  if (timeLines.length > 0) {
+    lines.push('Where the Time Went:');
+    lines.push(...timeLines);
+    lines.push('');
   }
 
-  // Show interesting categories (skip 'other' if there are named ones)
-  const interestingCats = Object.entries(byCategory)
-    .filter(([cat]) => cat !== 'other' && cat !== 'email')
-    .sort((a, b) => b[1].reduce((s, d) => s + d.visits, 0) - a[1].reduce((s, d) => s + d.visits, 0));
+  // Watched/listened — media playing or audible while the user was elsewhere
+  const passive = (rollup.passive || []).filter(p => p.totalMs >= 60000).slice(0, 10);
+  if (passive.length > 0) {
+    lines.push('Watched/Listened:');
+    for (const p of passive) {
+      const label = p.title ? `"${p.title}" — ${p.domain}` : p.url;
+      lines.push(`- ${label} (~${formatDuration(p.totalMs)})`);
+    }
+    lines.push('');
+  }
+
+  // Sessions — the day as a timeline of labeled stretches
+  if (sessions.length > 0) {
+    lines.push('Sessions:');
+    for (const s of sessions) lines.push(`- ${s.summary}`);
+    lines.push('');
+  }
+
+  // Searches — refinements of the same query grouped into one line
+  const searches = rollup.searches || [];
+  if (searches.length > 0) {
+    // Too many: keep the most refined, in time order
+    const shown = searches.length <= MAX_SEARCH_GROUPS ? searches : [...searches]
+      .sort((a, b) => b.queries.length - a.queries.length)
+      .slice(0, MAX_SEARCH_GROUPS)
+      .sort((a, b) => a.t - b.t);
+    lines.push('What You Searched For:');
+    for (const s of shown) {
+      const verticals = s.verticals.filter(v => v !== 'web');
+      const where = [s.engines.join(', '), ...verticals].join(' · ');
+      lines.push(`- ${s.queries.map(q => `"${q}"`).join(' → ')} (${where})`);
+    }
+    if (shown.length < searches.length) lines.push(`- (+${searches.length - shown.length} more searches)`);
+    lines.push('');
+  }
+
+  // Research trails — chains of pages reached from one another
+  const trails = rollup.trails || [];
+  if (trails.length > 0) {
+    lines.push('Research Trails:');
+    for (const trail of trails) lines.push(`- ${formatTrail(trail)}`);
+    lines.push('');
+  }
+
+  // Research topics — group by category
+  const interestingCats = groupByCategory(domainStats);
 
   if (interestingCats.length > 0) {
     lines.push('Activity by Category:');
-    for (const [cat, domains] of interestingCats) {
-      const totalVisits = domains.reduce((s, d) => s + d.visits, 0);
-      const topDomains = domains.sort((a, b) => b.visits - a.visits).slice(0, 5);
-      const domainList = topDomains.map(d => d.domain).join(', ');
+    for (const { cat, domains, totalVisits } of interestingCats) {
+      const domainList = domains.slice(0, 5).map(d => d.domain).join(', ');
       lines.push(`- ${categoryEmoji(cat)} ${categoryLabel(cat)}: ${domainList} (${totalVisits} visits)`);
     }
     lines.push('');
   }
 
   // Bookmarks saved today
-  const bookmarks = events.filter(e => e.type === 'bookmark.created');
-  if (bookmarks.length > 0) {
+  if (rollup.bookmarks.length > 0) {
     lines.push('Bookmarked:');
-    for (const b of bookmarks) {
-      lines.push(`- "${b.data?.title || b.title}" — ${b.data?.url || b.url}`);
+    for (const b of rollup.bookmarks) {
+      lines.push(`- "${b.title}" — ${b.url}`);
     }
     lines.push('');
   }
 
+  // Clips sent to the agent (none before rollup v8)
+  const clips = rollup.clips || [];
+  if (clips.length > 0) {
+    lines.push('Sent to Stark:');
+    for (const clip of clips) lines.push(`- ${formatClip(clip)}`);
+    lines.push('');
+  }
+
   // Downloads today
-  const downloads = events.filter(e => e.type === 'download.completed');
-  if (downloads.length > 0) {
+  if (rollup.downloads.length > 0) {
     lines.push('Downloads:');
-    for (const d of downloads) {
-      const size = d.data?.fileSize ? ` (${(d.data.fileSize / 1024 / 1024).toFixed(1)}MB)` : '';
-      lines.push(`- ${d.data?.filename || 'unknown'} (${d.data?.mime || 'unknown'})${size}`);
+    for (const d of rollup.downloads) {
+      const size = d.fileSize ? ` (${(d.fileSize / 1024 / 1024).toFixed(1)}MB)` : '';
+      lines.push(`- ${d.filename || 'unknown'} (${d.mime || 'unknown'})${size}`);
     }
     lines.push('');
   }
@@ -179,62 +242,216 @@ function formatDigest(dateStr, events, domainStats, pageTimes, totalActiveMs, pa
   // Page content — what the user actually read
   if (pageContents && pageContents.length > 0) {
     const topPages = pageContents
-      .sort((a, b) => b.timeSpent - a.timeSpent)
+      .sort(byReadCompletion)
       .slice(0, 20);
 
-    lines.push('Page Content (what you actually read):');
+    lines.push('Page Content (what you actually read, summarized):');
     for (const page of topPages) {
       const mins = Math.round(page.timeSpent / 60000);
+      const read = formatReadCompletion(page);
       lines.push('');
-      lines.push(`--- ${page.title || '(untitled)'} (${mins} min) ---`);
+      lines.push(`--- ${page.title || '(untitled)'} (${mins} min${read ? `, ${read}` : ''}) ---`);
       lines.push(`URL: ${page.url}`);
       if (page.meta?.author) lines.push(`Author: ${page.meta.author}`);
       if (page.meta?.publishDate) lines.push(`Published: ${page.meta.publishDate}`);
-      lines.push('');
-      lines.push(page.content || '');
+      lines.push(...formatPageKind(page));
+      const summary = pageSummary(page);
+      if (summary) lines.push(`Summary: ${summary}`);
     }
     lines.push('');
   }
 
-  // Activity pattern
-  const hourBuckets = new Array(24).fill(0);
-  for (const e of events) {
-    const hour = new Date(e.t).getHours();
-    hourBuckets[hour]++;
+  // Tabs — how many were open, which were never looked at, which stayed longest
+  const tabLines = formatTabStats(rollup.tabs);
+  if (tabLines.length > 0) {
+    lines.push('Tabs:');
+    lines.push(...tabLines);
+    lines.push('');
   }
 
-  const activeHours = hourBuckets
-    .map((count, hour) => ({ hour, count }))
-    .filter(h => h.count > 2)
-    .sort((a, b) => b.count - a.count);
+  // Activity pattern
+  const activeHours = getActiveHours(rollup.hours);
 
   if (activeHours.length > 0) {
     const peakHours = activeHours.slice(0, 3).map(h => formatHour(h.hour)).join(', ');
-    const tabEvents = events.filter(e => e.type === 'navigation' || e.type === 'tab.activated');
     lines.push('Activity Pattern:');
     lines.push(`- Most active hours: ${peakHours}`);
-    lines.push(`- Total page loads: ${tabEvents.length}`);
+    lines.push(`- Total page loads: ${rollup.pageLoads}`);
 
     // Comebacks
-    const comebacks = events.filter(e => e.type === 'user.comeback');
-    if (comebacks.length > 0) {
-      lines.push(`- Returned from breaks: ${comebacks.length}x`);
+    if (rollup.comebacks.length > 0) {
+      lines.push(`- Returned from breaks: ${rollup.comebacks.length}x`);
     }
   }
 
   return lines.join('\n');
 }
 
-function formatHour(hour) {
+// Top domains by time, each with its top path prefixes (github.com/org/repo).
+// Prefixes that are the bare domain (depth 0, or the site root) are broken
+// out into their pages. Rollups from before path tracking list top pages.
+function formatWhereTimeWent(rollup, domainLimit = 5, perDomain = 3) {
+  const lines = [];
+  const timed = Object.entries(rollup.domains)
+    .filter(([, d]) => d.totalMs >= 60000)
+    .sort((a, b) => b[1].totalMs - a[1].totalMs)
+    .slice(0, domainLimit);
+
+  for (const [domain, stats] of timed) {
+    const host = domain.replace(/^www\./, '');
+    const urls = (rollup.urls || []).filter(u => u.domain === domain);
+    const paths = (rollup.paths || []).filter(p => p.domain === domain);
+    const pageItem = u => ({ label: u.title ? `"${u.title}"` : u.url, totalMs: u.totalMs });
+
+    let items = [];
+    if (paths.length === 0) {
+      items = urls.map(pageItem);
+    } else {
+      for (const p of paths) {
+        const pages = urls.filter(u => u.path === p.path);
+        if (p.path === host) {
+          items.push(...pages.map(pageItem));
+        } else {
+          const title = pages.length === 1 && pages[0].title ? ` — "${pages[0].title}"` : '';
+          const count = pages.length > 1 ? `, ${pages.length} pages` : '';
+          items.push({ label: `${p.path}${title}`, totalMs: p.totalMs, extra: count });
+        }
+      }
+    }
+
+    const shown = items
+      .filter(i => i.totalMs >= 60000)
+      .sort((a, b) => b.totalMs - a.totalMs)
+      .slice(0, perDomain);
+    if (shown.length === 0) continue;
+
+    lines.push(`- ${domain} (~${formatDuration(stats.totalMs)})`);
+    for (const item of shown) {
+      lines.push(`  - ${item.label} (~${formatDuration(item.totalMs)}${item.extra || ''})`);
+    }
+  }
+  return lines;
+}
+
+// "10:02 "Title" (google.com) → "Title" (stackoverflow.com) → … (+2 more pages)"
+function formatTrail(trail) {
+  const time = new Date(trail.start);
+  const clock = `${time.getHours()}:${String(time.getMinutes()).padStart(2, '0')}`;
+  const steps = trail.steps.map(s => {
+    const title = (s.title || '').length > 60 ? `${s.title.slice(0, 57)}...` : s.title;
+    return title ? `"${title}" (${s.domain})` : s.domain;
+  });
+  const more = trail.pages - trail.steps.length;
+  return `${clock} ${steps.join(' → ')}${more > 0 ? ` (+${more} more page${more === 1 ? '' : 's'})` : ''}`;
+}
+
+// Stored summary; pages stored before summaries existed are summarized now
+function pageSummary(page) {
+  if (page.summary !== undefined) return page.summary;
+  return summarize(page.content, { title: page.title }).summary || (page.meta?.description || '').slice(0, 300);
+}
+
+// "14:05 selection from "Title" — "the selected text…" (under "Heading")"
+function formatClip(clip) {
+  const time = new Date(clip.t);
+  const clock = `${time.getHours()}:${String(time.getMinutes()).padStart(2, '0')}`;
+  const from = clip.title ? `"${clip.title}"` : clip.url || 'a page';
+  const text = clip.text && clip.text.length > 120 ? `${clip.text.slice(0, 117)}...` : clip.text;
+  let line;
+  switch (clip.kind) {
+    case 'selection':
+      line = `selection from ${from}${text ? ` — "${text}"` : ''}${clip.heading ? ` (under "${clip.heading}")` : ''}`;
+      break;
+    case 'link':
+      line = `link ${text ? `"${text}" ` : ''}${clip.linkUrl ? `— ${clip.linkUrl} ` : ''}(found on ${from})`;
+      break;
+    case 'image':
+      line = `image from ${from}${text ? ` — "${text}"` : ''}`;
+      break;
+    default:
+      line = `page ${from}${clip.url && clip.title ? ` — ${clip.url}` : ''}`;
+  }
+  return `${clock} ${line}${clip.delivered === false ? ' (not delivered)' : ''}`;
+}
+
+// Tab stats from the rollup (none before rollup v5)
+function formatTabStats(tabs) {
+  if (!tabs || (tabs.peak.count === 0 && tabs.opened === 0)) return [];
+  const lines = [];
+  if (tabs.peak.count > 0) {
+    lines.push(`- Peak open tabs: ${tabs.peak.count} (at ${formatHour(new Date(tabs.peak.t).getHours())})`);
+  }
+  lines.push(`- Opened ${tabs.opened}, closed ${tabs.closed}`);
+  if (tabs.neverFocused.count > 0) {
+    const examples = tabs.neverFocused.pages.slice(0, 3).map(p => `"${p.title || p.url}"`).join(', ');
+    lines.push(`- Never looked at: ${tabs.neverFocused.count}${examples ? ` (e.g. ${examples})` : ''}`);
+  }
+  if (tabs.longestLived.length > 0) {
+    lines.push('- Longest-lived:');
+    for (const t of tabs.longestLived) {
+      const label = t.title ? `"${t.title}"` : t.url || '(untracked page)';
+      lines.push(`  - ${label} (${formatAge(t.ageMs)}${t.open ? ', still open' : ''})`);
+    }
+  }
+  return lines;
+}
+
+// Tab ages run to days: "3d 4h", else formatDuration
+function formatAge(ms) {
+  const days = Math.floor(ms / 86400000);
+  if (days < 1) return formatDuration(ms);
+  const hours = Math.floor((ms % 86400000) / 3600000);
+  return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+}
+
+// ============================================================
+// GROUPING — shared with the exporter's per-day Markdown journals
+// ============================================================
+
+// Domains sorted by visit count
+export function topDomains(domainStats, limit = 15) {
+  return Object.entries(domainStats)
+    .sort((a, b) => b[1].visits - a[1].visits)
+    .slice(0, limit);
+}
+
+// Group domains by category, busiest category first.
+// Skips 'other' and 'email' — they say nothing about what the user worked on.
+export function groupByCategory(domainStats) {
+  const byCategory = {};
+  for (const [domain, stats] of Object.entries(domainStats)) {
+    const cat = stats.cat || categorize(domain);
+    if (!byCategory[cat]) byCategory[cat] = [];
+    byCategory[cat].push({ domain, ...stats });
+  }
+
+  return Object.entries(byCategory)
+    .filter(([cat]) => cat !== 'other' && cat !== 'email')
+    .map(([cat, domains]) => ({
+      cat,
+      domains: domains.sort((a, b) => b.visits - a.visits),
+      totalVisits: domains.reduce((s, d) => s + d.visits, 0),
+    }))
+    .sort((a, b) => b.totalVisits - a.totalVisits);
+}
+
+// Hours with more than a couple of events, busiest first.
+// hourBuckets: 24 event counts (a rollup's `hours`)
+export function getActiveHours(hourBuckets) {
+  return hourBuckets
+    .map((count, hour) => ({ hour, count }))
+    .filter(h => h.count > 2)
+    .sort((a, b) => b.count - a.count);
+}
+
+export function formatHour(hour) {
   if (hour === 0) return '12am';
   if (hour < 12) return `${hour}am`;
   if (hour === 12) return '12pm';
   return `${hour - 12}pm`;
 }
 
-function estimateActiveTime(events) {
-  if (events.length < 2) return 'minimal';
-  const first = events[0].t;
-  const last = events[events.length - 1].t;
-  return formatDuration(last - first);
+function estimateActiveTime(rollup) {
+  if (rollup.eventCount < 2) return 'minimal';
+  return formatDuration(rollup.lastEvent - rollup.firstEvent);
 }
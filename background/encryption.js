@@ -0,0 +1,91 @@
+// StarkChrome v2 — Encryption at Rest (user actions)
+// Turning encryption on/off, unlocking and locking. The crypto itself is in
+// vault.js; this module re-writes stored data when the mode changes.
+//
+// Covered: the event log, page content (content_*) and daily rollups (rollup_*).
+// The search index holds page text in the clear, so it is dropped while
+// encryption is on. Settings and the in-progress tracker state for the
+// current day stay unencrypted.
+
+import { rewriteEvents, mergeLockedPages } from './store.js';
+import { clearSearchIndex, rebuildSearchIndex } from './search.js';
+import { finalizePastDays } from './rollups.js';
+import {
+  isEncryptionEnabled, getVaultStatus, createVault, unlockVault, lockVault,
+  stopSealing, destroyVault, sealStored, openStored,
+} from './vault.js';
+
+const SEALED_PREFIXES = ['content_', 'rollup_', 'corpus_'];
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export function getEncryptionStatus() {
+  return getVaultStatus();
+}
+
+export async function enableEncryption(passphrase) {
+  if (isEncryptionEnabled()) return { success: false, reason: 'already_enabled' };
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) return { success: false, reason: 'passphrase_too_short' };
+
+  try {
+    await createVault(passphrase);
+    const events = await rewriteEvents();
+    const values = await rewriteStoredValues();
+    await clearSearchIndex();
+    console.log(`[StarkChrome] Encryption on — sealed ${events} events, ${values} stored days`);
+    return { success: true, events, values };
+  } catch (e) {
+    console.error('[StarkChrome] Enabling encryption failed:', e);
+    return { success: false, reason: e.message };
+  }
+}
+
+// Decrypt everything and remove the vault. Needs the passphrase even when unlocked.
+export async function disableEncryption(passphrase) {
+  if (!isEncryptionEnabled()) return { success: false, reason: 'not_enabled' };
+  if (!(await unlockVault(passphrase || ''))) return { success: false, reason: 'wrong_passphrase' };
+
+  try {
+    await mergeLockedPages();
+    stopSealing();
+    const events = await rewriteEvents();
+    const values = await rewriteStoredValues();
+    await destroyVault();
+    await rebuildSearchIndex();
+    console.log(`[StarkChrome] Encryption off — decrypted ${events} events, ${values} stored days`);
+    return { success: true, events, values };
+  } catch (e) {
+    console.error('[StarkChrome] Disabling encryption failed:', e);
+    return { success: false, reason: e.message };
+  }
+}
+
+export async function unlockStore(passphrase) {
+  if (!isEncryptionEnabled()) return { success: false, reason: 'not_enabled' };
+  if (!(await unlockVault(passphrase || ''))) return { success: false, reason: 'wrong_passphrase' };
+
+  // Events recorded while locked move to the data key, queued pages join
+  // their days, and days that ended while locked couldn't be rolled up
+  await rewriteEvents();
+  await mergeLockedPages();
+  await finalizePastDays();
+  return { success: true };
+}
+
+export async function lockStore() {
+  if (!isEncryptionEnabled()) return { success: false, reason: 'not_enabled' };
+  await lockVault();
+  return { success: true };
+}
+
+// Re-write sealed-prefix chrome.storage values in the current mode
+async function rewriteStoredValues() {
+  const all = await chrome.storage.local.get(null);
+  let count = 0;
+  for (const [key, value] of Object.entries(all)) {
+    if (!SEALED_PREFIXES.some(p => key.startsWith(p))) continue;
+    if (Boolean(value?.sealed) === isEncryptionEnabled()) continue;
+    await chrome.storage.local.set({ [key]: await sealStored(await openStored(value)) });
+    count++;
+  }
+  return count;
+}
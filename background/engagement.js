@@ -0,0 +1,54 @@
+// StarkChrome v2 — Reading Engagement
+// The content script reports how far down a page the user scrolled and how
+// long it was visible and focused with recent input ("active dwell").
+// Combined with the page's word count, that gives an estimated read
+// completion: the lesser of scroll depth and dwell over expected reading time.
+// Digests rank stored pages by it, and the logger only gets pages actually read.
+
+const WORDS_PER_MINUTE = 230;
+export const MIN_READ_COMPLETION = 0.25;   // below this a page was skimmed, not read
+
+// Raw content-script signals → { scrollDepth, activeMs, readCompletion }
+export function measureEngagement(signals, wordCount) {
+  const scrollDepth = clamp(Number(signals?.scrollDepth) || 0, 0, 1);
+  const activeMs = Math.max(0, Math.round(Number(signals?.activeMs) || 0));
+  return { scrollDepth: round2(scrollDepth), activeMs, readCompletion: readCompletion(scrollDepth, activeMs, wordCount) };
+}
+
+// Merge a newer report into a stored one — a revisit never lowers what was read
+export function mergeEngagement(stored, signals, wordCount) {
+  const next = measureEngagement(signals, wordCount);
+  if (!stored) return next;
+  return measureEngagement({
+    scrollDepth: Math.max(stored.scrollDepth || 0, next.scrollDepth),
+    activeMs: Math.max(stored.activeMs || 0, next.activeMs),
+  }, wordCount);
+}
+
+// Sort pages: most completely read first, then by time spent.
+// Pages stored before engagement tracking sort after measured ones.
+export function byReadCompletion(a, b) {
+  const ca = a.engagement?.readCompletion ?? -1;
+  const cb = b.engagement?.readCompletion ?? -1;
+  return cb - ca || b.timeSpent - a.timeSpent;
+}
+
+// "62% read", or '' for pages without engagement data
+export function formatReadCompletion(page) {
+  const c = page.engagement?.readCompletion;
+  return c === undefined ? '' : `${Math.round(c * 100)}% read`;
+}
+
+function readCompletion(scrollDepth, activeMs, wordCount) {
+  if (!wordCount) return round2(scrollDepth);
+  const expectedMs = (wordCount / WORDS_PER_MINUTE) * 60000;
+  return round2(Math.min(scrollDepth, activeMs / expectedMs, 1));
+}
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -4,7 +4,8 @@
 
 import { recordEvent } from '../store.js';
 import { getConfig, sendComebackEvent } from '../api.js';
-import { trackIdle, trackPageChange } from '../tracker.js';
+import { trackIdle, trackFocusChange } from '../tracker.js';
+import { getFocusedActiveTab } from './windows.js';
 
 let lastIdleStart = null;
 let currentState = 'active';
@@ -33,12 +34,11 @@ export function registerIdleEvents() {
       lastIdleStart = null;
       chrome.storage.local.remove('_idleStart');
 
-      // Restart time-on-page tracking with current tab
+      // Restart time-on-page tracking with the focused window's tab
+      // (none if the user came back to another app)
       try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab?.url) {
-          trackPageChange(tab.url, tab.title, tab.id);
-        }
+        const { windowId, tab } = await getFocusedActiveTab();
+        trackFocusChange(windowId, tab);
 
         if (idleStart) {
           const awayMinutes = Math.round((now - idleStart) / 60000);
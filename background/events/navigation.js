@@ -0,0 +1,63 @@
+// StarkChrome v2 — Navigation Transitions
+// webNavigation tells how a page was reached (typed, link, reload,
+// back/forward…) and which tab opened a new one. Top-frame commits go to
+// trails.js; tabs.js attaches them to the page's navigation event.
+//
+// Single-page apps (GitHub, Linear, Notion, YouTube…) navigate with
+// history.pushState: no load, no 'complete'. onHistoryStateUpdated catches
+// those. Apps often push several states per click (or one per keystroke in
+// a search box), so each tab is throttled: SPA_SETTLE_MS after the first
+// update, the latest URL is recorded with the title the tab has by then.
+
+import { trackCommitted, trackNavigationTarget } from '../trails.js';
+import { recordNavigation } from './tabs.js';
+import { sanitizeUrl } from '../privacy.js';
+
+const SPA_SETTLE_MS = 1500;
+const spaTimers = new Map();   // tabId → { timer, details }
+
+export function registerNavigationEvents() {
+  chrome.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId !== 0 || details.documentLifecycle === 'prerender') return;
+    cancelSpa(details.tabId);   // a real load supersedes pending history updates
+    trackCommitted(details);
+  });
+
+  chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
+    trackNavigationTarget(details.tabId, details.sourceTabId);
+  });
+
+  chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+    if (details.frameId !== 0) return;
+    const pending = spaTimers.get(details.tabId);
+    if (pending) {
+      pending.details = details;   // keep the latest URL; the timer is already running
+      return;
+    }
+    spaTimers.set(details.tabId, {
+      details,
+      timer: setTimeout(() => settleSpa(details.tabId), SPA_SETTLE_MS),
+    });
+  });
+
+  console.log('[StarkChrome] Navigation transition events registered');
+}
+
+async function settleSpa(tabId) {
+  const entry = spaTimers.get(tabId);
+  spaTimers.delete(tabId);
+  if (!entry) return;
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (sanitizeUrl(tab.url) !== sanitizeUrl(entry.details.url)) return;   // a load took over
+    trackCommitted(entry.details);
+    recordNavigation(tab);
+  } catch (e) {} // Tab closed meanwhile
+}
+
+function cancelSpa(tabId) {
+  const entry = spaTimers.get(tabId);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  spaTimers.delete(tabId);
+}
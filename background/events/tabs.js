@@ -1,31 +1,50 @@
 // StarkChrome v2 — Tab Events
 // Tracks tab switches and navigations. Feeds local store + time-on-page tracker.
+// Audible tabs are handed to the tracker for passive (watched/listened) time.
+// Creation, closing, replacement and moves between windows go to tab-lifecycle.js.
+// Single-page-app navigations (history.pushState) arrive via events/navigation.js
+// and are recorded through the same path as full loads.
 
 import { recordEvent } from '../store.js';
-import { shouldTrack } from '../privacy.js';
-import { trackPageChange } from '../tracker.js';
+import { shouldTrack, sanitizeUrl } from '../privacy.js';
+import { trackPageChange, isFocusedWindow, trackMediaState, trackTabClosed } from '../tracker.js';
+import {
+  trackTabCreated, trackTabUpdated, trackTabFocused, trackTabRemoved, trackTabReplaced, trackTabMoved,
+} from '../tab-lifecycle.js';
+import { takeTransition, forgetTab } from '../trails.js';
+import { trackSearch } from '../search-engines.js';
+
+const detachedFrom = new Map();   // tabId → window it was dragged out of
+const lastRecorded = new Map();   // tabId → { url, t } of the last recorded navigation
+
+// A load and a history-state update for the same URL (an SPA that also
+// fires 'complete', or a redirect through pushState) count once
+const DUPLICATE_MS = 5000;
 
 export function registerTabEvents() {
   // Tab updated — URL or title change (main navigation signal)
   chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.status !== 'complete') return;
-    if (!tab.url || !shouldTrack(tab.url)) return;
+    if (changeInfo.url || changeInfo.title) trackTabUpdated(tab);
 
-    trackPageChange(tab.url, tab.title, tabId);
+    // Sound started/stopped, or a media tab navigated elsewhere
+    if ('audible' in changeInfo || changeInfo.url) {
+      trackMediaState(tab, { audible: Boolean(tab.audible) });
+    }
 
-    recordEvent({
-      type: 'navigation',
-      data: { url: tab.url, title: tab.title, tabId },
-    });
+    if (changeInfo.status !== 'complete') return;
+    recordNavigation(tab);
   });
 
   // Tab activated — user switched tabs
   chrome.tabs.onActivated.addListener(async (activeInfo) => {
+    trackTabFocused(activeInfo.tabId);
     try {
       const tab = await chrome.tabs.get(activeInfo.tabId);
       if (!tab.url || !shouldTrack(tab.url)) return;
 
-      trackPageChange(tab.url, tab.title, activeInfo.tabId);
+      if (isFocusedWindow(activeInfo.windowId)) {
+        trackPageChange(tab.url, tab.title, activeInfo.tabId);
+      }
 
       recordEvent({
         type: 'tab.activated',
@@ -34,5 +53,58 @@ export function registerTabEvents() {
     } catch (e) {} // Tab may have been removed
   });
 
+  // Tab opened
+  chrome.tabs.onCreated.addListener((tab) => {
+    trackTabCreated(tab);
+  });
+
+  // Tab closed — ends any passive time it was accruing
+  chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+    trackTabClosed(tabId);
+    trackTabRemoved(tabId, removeInfo);
+    forgetTab(tabId);
+    lastRecorded.delete(tabId);
+  });
+
+  // Tab swapped for a prerendered one — same tab to the user
+  chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+    trackTabReplaced(addedTabId, removedTabId);
+  });
+
+  // Tab dragged to another window: detach, then attach
+  chrome.tabs.onDetached.addListener((tabId, detachInfo) => {
+    detachedFrom.set(tabId, detachInfo.oldWindowId);
+  });
+  chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+    const from = detachedFrom.get(tabId) ?? null;
+    detachedFrom.delete(tabId);
+    trackTabMoved(tabId, from, attachInfo.newWindowId);
+  });
+
   console.log('[StarkChrome] Tab events registered');
 }
+
+// A page load or SPA navigation: time it (if it's what the user is looking
+// at) and record it, unless this tab just recorded the same URL
+export function recordNavigation(tab) {
+  if (!tab.url || !shouldTrack(tab.url)) return;
+
+  const url = sanitizeUrl(tab.url);
+  const now = Date.now();
+  const last = lastRecorded.get(tab.id);
+  if (last && last.url === url && now - last.t < DUPLICATE_MS) return;
+  lastRecorded.set(tab.id, { url, t: now });
+
+  // Loads in background tabs or unfocused windows are recorded, not timed
+  if (tab.active && isFocusedWindow(tab.windowId)) {
+    trackPageChange(tab.url, tab.title, tab.id);
+  }
+
+  recordEvent({
+    type: 'navigation',
+    data: { url: tab.url, title: tab.title, tabId: tab.id, ...takeTransition(tab.id, tab.url) },
+  });
+
+  // Search result pages also become search.performed events
+  trackSearch(tab.url, tab.title);
+}
@@ -0,0 +1,36 @@
+// StarkChrome v2 — Window Focus Events
+// Time only counts for the active tab of the focused window. When Chrome
+// loses focus (WINDOW_ID_NONE — working in another app) the current page
+// is closed out; when a window gains focus, its active tab starts accruing.
+
+import { trackFocusChange } from '../tracker.js';
+
+export function registerWindowEvents() {
+  chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+      trackFocusChange(windowId, null);
+      return;
+    }
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, windowId });
+      trackFocusChange(windowId, tab || null);
+    } catch (e) {} // Window may have closed
+  });
+
+  // Service worker (re)start: pick up where focus is right now
+  getFocusedActiveTab().then(({ windowId, tab }) => trackFocusChange(windowId, tab));
+
+  console.log('[StarkChrome] Window focus events registered');
+}
+
+// The focused window and its active tab. windowId is WINDOW_ID_NONE
+// (and tab null) when no Chrome window has focus.
+export async function getFocusedActiveTab() {
+  try {
+    const win = await chrome.windows.getLastFocused({ populate: true });
+    if (!win?.focused) return { windowId: chrome.windows.WINDOW_ID_NONE, tab: null };
+    return { windowId: win.id, tab: win.tabs?.find(t => t.active) || null };
+  } catch (e) {
+    return { windowId: chrome.windows.WINDOW_ID_NONE, tab: null };
+  }
+}
@@ -0,0 +1,225 @@
+// StarkChrome v2 — Multi-Format Exporter
+// Exports a date range of events for notebooks and note vaults:
+//   ndjson   — one event per line
+//   csv      — one row per event, `data` fields flattened to data.* columns
+//   markdown — zip with one journal file per day (rollup stats, events, page content)
+
+import { queryEvents, getPageContent, dayKey, parseDayKey } from './store.js';
+import { getRollup } from './rollups.js';
+import { formatDuration } from './tracker.js';
+import { topDomains, groupByCategory, getActiveHours, formatHour } from './digest.js';
+import { categoryEmoji, categoryLabel } from './categories.js';
+import { byReadCompletion, formatReadCompletion } from './engagement.js';
+import { formatPageKind } from './page-kinds.js';
+import { createZip } from './zip.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EXPORT_FORMATS = ['ndjson', 'csv', 'markdown'];
+
+// opts: { from, to, types, format } — from/to are local 'YYYY-MM-DD' (inclusive),
+// types is an optional list of event types to keep.
+// Returns { success, filename, mime, encoding: 'utf8' | 'base64', data }.
+export async function buildExport(opts = {}) {
+  const format = opts.format || 'ndjson';
+  if (!EXPORT_FORMATS.includes(format)) return { success: false, reason: 'unknown_format' };
+
+  const from = opts.from ? parseDayKey(opts.from).getTime() : 0;
+  const to = opts.to ? parseDayKey(opts.to).getTime() + DAY_MS : Date.now() + 1;
+  if (Number.isNaN(from) || Number.isNaN(to) || to <= from) return { success: false, reason: 'invalid_range' };
+
+  const types = opts.types?.length ? new Set(opts.types) : null;
+  const events = (await queryEvents({ from, to })).filter(e => !types || types.has(e.type));
+  const stamp = `${opts.from || 'all'}_${opts.to || dayKey(new Date())}`;
+
+  switch (format) {
+    case 'ndjson':
+      return {
+        success: true,
+        filename: `starkchrome-${stamp}.ndjson`,
+        mime: 'application/x-ndjson',
+        encoding: 'utf8',
+        data: events.map(e => JSON.stringify(e)).join('\n') + (events.length ? '\n' : ''),
+      };
+
+    case 'csv':
+      return {
+        success: true,
+        filename: `starkchrome-${stamp}.csv`,
+        mime: 'text/csv',
+        encoding: 'utf8',
+        data: toCsv(events),
+      };
+
+    case 'markdown': {
+      const files = await buildJournals(events);
+      return {
+        success: true,
+        filename: `starkchrome-${stamp}.zip`,
+        mime: 'application/zip',
+        encoding: 'base64',
+        data: toBase64(createZip(files)),
+      };
+    }
+  }
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+const CSV_BASE_COLUMNS = ['time', 'type', 'domain', 'cat', 'title', 'url'];
+
+function toCsv(events) {
+  const dataColumns = new Set();
+  const flat = events.map((e) => {
+    const data = flatten(e.data || {}, 'data');
+    Object.keys(data).forEach(k => dataColumns.add(k));
+    return { time: new Date(e.t).toISOString(), type: e.type, domain: e.domain, cat: e.cat, title: e.title, url: e.url, ...data };
+  });
+
+  const columns = [...CSV_BASE_COLUMNS, ...[...dataColumns].sort()];
+  const rows = [columns.join(',')];
+  for (const row of flat) {
+    rows.push(columns.map(c => csvCell(row[c])).join(','));
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+// { a: { b: 1 } } → { 'data.a.b': 1 }. Arrays are kept as JSON.
+function flatten(obj, prefix) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) {
+    const path = `${prefix}.${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(out, flatten(value, path));
+    } else {
+      out[path] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return out;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// ============================================================
+// MARKDOWN JOURNALS
+// ============================================================
+
+async function buildJournals(events) {
+  const byDay = new Map();
+  for (const e of events) {
+    const day = dayKey(new Date(e.t));
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(e);
+  }
+
+  const files = [];
+  for (const [day, dayEvents] of byDay) {
+    const [rollup, pages] = await Promise.all([getRollup(day), getPageContent(day)]);
+    files.push({ name: `${day}.md`, content: formatJournal(day, rollup, dayEvents, pages) });
+  }
+  return files;
+}
+
+// Day stats (sites, categories, hours) come from the day's rollup;
+// bookmarks, downloads and the timeline from the filtered events.
+function formatJournal(day, rollup, events, pages) {
+  const date = parseDayKey(day);
+  const domainStats = rollup.domains;
+  const lines = [];
+
+  lines.push(`# ${date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' })}`);
+  lines.push('');
+  const active = rollup.activeMs > 0 ? ` · ${formatDuration(rollup.activeMs)} active` : '';
+  lines.push(`${rollup.eventCount} events · ${Object.keys(domainStats).length} sites · ${pages.length} pages read${active}`);
+  lines.push('');
+
+  const sites = topDomains(domainStats, 25);
+  if (sites.length > 0) {
+    lines.push('## Top Sites', '', '| Site | Visits | Time | Category |', '|---|---|---|---|');
+    for (const [domain, stats] of sites) {
+      const time = stats.totalMs > 0 ? formatDuration(stats.totalMs) : '';
+      lines.push(`| ${domain} | ${stats.visits} | ${time} | ${categoryLabel(stats.cat)} |`);
+    }
+    lines.push('');
+  }
+
+  const categories = groupByCategory(domainStats);
+  if (categories.length > 0) {
+    lines.push('## Activity by Category', '');
+    for (const { cat, domains, totalVisits } of categories) {
+      const domainList = domains.slice(0, 5).map(d => d.domain).join(', ');
+      lines.push(`- ${categoryEmoji(cat)} ${categoryLabel(cat)}: ${domainList} (${totalVisits} visits)`);
+    }
+    lines.push('');
+  }
+
+  const activeHours = getActiveHours(rollup.hours);
+  if (activeHours.length > 0) {
+    lines.push(`Most active hours: ${activeHours.slice(0, 3).map(h => formatHour(h.hour)).join(', ')}`, '');
+  }
+
+  const bookmarks = events.filter(e => e.type === 'bookmark.created');
+  if (bookmarks.length > 0) {
+    lines.push('## Bookmarked', '');
+    for (const b of bookmarks) {
+      lines.push(`- ${mdLink(b.data?.title || b.title, b.data?.url || b.url)}`);
+    }
+    lines.push('');
+  }
+
+  const downloads = events.filter(e => e.type === 'download.completed');
+  if (downloads.length > 0) {
+    lines.push('## Downloads', '');
+    for (const d of downloads) {
+      lines.push(`- ${d.data?.filename || 'unknown'} (${d.data?.mime || 'unknown'})`);
+    }
+    lines.push('');
+  }
+
+  if (pages.length > 0) {
+    lines.push('## Page Content', '');
+    for (const page of [...pages].sort(byReadCompletion)) {
+      const read = formatReadCompletion(page);
+      lines.push(`### ${mdLink(page.title || '(untitled)', page.url)} (${Math.round(page.timeSpent / 60000)} min${read ? `, ${read}` : ''})`);
+      lines.push('');
+      if (page.meta?.author) lines.push(`Author: ${page.meta.author}`, '');
+      for (const detail of formatPageKind(page)) lines.push(detail, '');
+      if (page.summary) lines.push(`**Summary:** ${page.summary}`, '');
+      lines.push((page.markdown || page.content || '').split('\n').map(l => (l ? `> ${l}` : '>')).join('\n'));
+      lines.push('');
+    }
+  }
+
+  lines.push('## Timeline', '');
+  for (const e of events) {
+    const time = new Date(e.t).toTimeString().slice(0, 5);
+    const target = e.url ? ` — ${mdLink(e.title || e.domain, e.url)}` : '';
+    lines.push(`- ${time} \`${e.type}\`${target}`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+function mdLink(text, url) {
+  const label = (text || url || '').replace(/([\[\]])/g, '\\$1');
+  return url ? `[${label}](${url.replace(/\)/g, '%29')})` : label;
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
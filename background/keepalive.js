@@ -3,6 +3,7 @@
 // A chrome.alarms tick every 25s keeps it alive and persists tracker state.
 
 import { persistPageTimes } from './tracker.js';
+import { persistTabRegistry } from './tab-lifecycle.js';
 import { flushStore } from './store.js';
 
 const KEEPALIVE_ALARM = 'starkchrome-keepalive';
@@ -22,6 +23,7 @@ export async function handleKeepAlive(alarm) {
 
   // Persist tracker state on each tick so nothing is lost if SW dies
   await persistPageTimes();
+  await persistTabRegistry();
 
   return true;
 }
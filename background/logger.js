@@ -2,6 +2,8 @@
 // Lightweight continuous logger for page content events.
 // Separate from the OpenClaw webhook — this is cheap, always-on logging.
 
+import { redact } from './redact.js';
+
 const DEFAULT_LOGGER = {
   loggerUrl: '',
   loggerToken: '',
@@ -43,7 +45,7 @@ export async function postToLogger(event) {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${config.loggerToken}`,
       },
-      body: JSON.stringify(event),
+      body: JSON.stringify(redact(event)),
     });
 
     if (response.ok || response.status === 202) {
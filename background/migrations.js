@@ -0,0 +1,151 @@
+// StarkChrome v2 — Storage Schema Migrations
+// Records a schema version in chrome.storage.local and applies ordered,
+// idempotent migration steps on startup (before anything reads storage).
+//
+// Progress is recorded per step in the IndexedDB meta store, so a failed run
+// resumes after the last step that completed. Before each step the whole of
+// chrome.storage.local is snapshotted into IndexedDB; if the step throws, the
+// snapshot is restored and the error is recorded under `schemaStatus`.
+// IndexedDB writes a failed step already made (events, searchDocs) are not
+// rolled back — steps are idempotent and the failed one re-runs on the next start.
+//
+// IndexedDB object stores/indexes are versioned separately in db.js.
+// Steps here migrate *data*: key layouts and entry shapes.
+
+import { importEvents, dayKey } from './store.js';
+import { rebuildSearchIndex } from './search.js';
+import { DEFAULT_RETENTION } from './retention.js';
+import { dbGet, dbPut, withStores } from './db.js';
+
+const SCHEMA_KEY = 'schemaVersion';
+const STATUS_KEY = 'schemaStatus';
+const BACKUP_KEY = 'schemaBackup';   // record keys in the IndexedDB meta store
+const PROGRESS_KEY = 'schemaProgress';
+
+// Ordered steps. Each must be safe to run again on data it already migrated.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'event-log-to-indexeddb',
+    // Move the chrome.storage `eventLog` array into IndexedDB.
+    // importEvents() skips events already present, so a retry never duplicates.
+    async up() {
+      const result = await chrome.storage.local.get(['eventLog', 'storeMeta']);
+      if (Array.isArray(result.eventLog)) {
+        const { added } = await importEvents(result.eventLog);
+        console.log(`[StarkChrome] Migrated ${added} events from chrome.storage to IndexedDB`);
+      }
+      await chrome.storage.local.remove(['eventLog', 'storeMeta']);
+    },
+  },
+  {
+    version: 2,
+    name: 'backfill-search-index',
+    // Index page content stored before full-text search existed
+    async up() {
+      await rebuildSearchIndex();
+    },
+  },
+  {
+    version: 3,
+    name: 'page-times-by-day',
+    // `_pageTimes` was one running [{ domain, totalMs, sessions }] array since the
+    // last digest. It is now bucketed by day — file the old totals under today.
+    async up() {
+      const { _pageTimes } = await chrome.storage.local.get('_pageTimes');
+      if (!Array.isArray(_pageTimes)) return;
+      const domains = {};
+      for (const t of _pageTimes) {
+        if (t?.domain) domains[t.domain] = { totalMs: t.totalMs || 0, sessions: t.sessions || 0 };
+      }
+      await chrome.storage.local.set({ _pageTimes: { [dayKey()]: { domains, urls: {} } } });
+    },
+  },
+  {
+    version: 4,
+    name: 'per-type-retention',
+    // The single `storeRetention` (days, events only) becomes the events entry
+    // of the per-type `retention` settings. Other types start at their defaults.
+    async up() {
+      const { storeRetention, retention } = await chrome.storage.local.get(['storeRetention', 'retention']);
+      if (storeRetention && !retention) {
+        await chrome.storage.local.set({ retention: { ...DEFAULT_RETENTION, events: storeRetention } });
+      }
+      await chrome.storage.local.remove('storeRetention');
+    },
+  },
+];
+
+export const LATEST_SCHEMA = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Bring storage up to LATEST_SCHEMA. Returns the resulting status.
+export async function runMigrations() {
+  const stored = (await chrome.storage.local.get(SCHEMA_KEY))[SCHEMA_KEY] || 0;
+  const progress = await dbGet('meta', PROGRESS_KEY);
+  const current = Math.max(stored, progress?.version || 0);
+
+  if (current > LATEST_SCHEMA) {
+    console.warn(`[StarkChrome] Storage schema v${current} is newer than this build (v${LATEST_SCHEMA}) — leaving it untouched`);
+    return { version: current, ok: true };
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  if (pending.length === 0) return { version: current, ok: true };
+
+  let version = current;
+  for (const step of pending) {
+    try {
+      await takeBackup(version);
+      console.log(`[StarkChrome] Running migration v${step.version}: ${step.name}`);
+      await step.up();
+      version = step.version;
+      await dbPut('meta', { version, at: Date.now() }, PROGRESS_KEY);
+    } catch (e) {
+      console.error(`[StarkChrome] Migration v${step.version} (${step.name}) failed:`, e);
+      await restoreBackup();
+      const status = {
+        version,
+        ok: false,
+        failedStep: `${step.version}:${step.name}`,
+        error: e.message || String(e),
+        at: new Date().toISOString(),
+      };
+      await chrome.storage.local.set({ [STATUS_KEY]: status });
+      return status;
+    }
+  }
+
+  const status = { version, ok: true, at: new Date().toISOString() };
+  await chrome.storage.local.set({ [SCHEMA_KEY]: version, [STATUS_KEY]: status });
+  await withStores('meta', 'readwrite', (s) => {
+    s.meta.delete(BACKUP_KEY);
+    s.meta.delete(PROGRESS_KEY);
+  });
+  console.log(`[StarkChrome] Storage schema v${current} → v${version}`);
+  return status;
+}
+
+// Status for popup/options (last run result)
+export async function getSchemaStatus() {
+  const result = await chrome.storage.local.get([SCHEMA_KEY, STATUS_KEY]);
+  return result[STATUS_KEY] || { version: result[SCHEMA_KEY] || 0, ok: true };
+}
+
+// Snapshot chrome.storage.local before a step. Taken fresh for each step:
+// the state after the last completed step is the known-good one.
+async function takeBackup(version) {
+  const data = await chrome.storage.local.get(null);
+  await dbPut('meta', { version, takenAt: Date.now(), data }, BACKUP_KEY);
+}
+
+async function restoreBackup() {
+  try {
+    const backup = await dbGet('meta', BACKUP_KEY);
+    if (!backup) return;
+    await chrome.storage.local.clear();
+    await chrome.storage.local.set(backup.data);
+    console.log('[StarkChrome] Storage restored from pre-migration backup');
+  } catch (e) {
+    console.error('[StarkChrome] Restoring pre-migration backup failed:', e);
+  }
+}
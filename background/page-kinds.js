@@ -0,0 +1,53 @@
+// StarkChrome v2 — Page Kinds
+// Pages from the site extractors (content/extractor.js) and PDFs come with a
+// `kind` and structured `fields`. This turns them into the detail lines shown
+// under a page in the digest, Markdown exports and "Send to Stark", e.g.
+// "GitHub PR #128 in org/repo — merged, by alice · 4 files changed".
+// Generic articles (kind 'article' or none) have no detail lines.
+
+const KINDS = {
+  'github-pr': f => [
+    `GitHub PR #${f.number} in ${f.repo} — ${f.state}${f.author ? `, by ${f.author}` : ''}`
+      + `${f.filesChanged ? ` · ${plural(f.filesChanged, 'file')} changed` : ''}${countComments(f)}`,
+    ...(f.files?.length > 0 ? [`Files: ${listSome(f.files, 8)}`] : []),
+  ],
+  'github-issue': f => [
+    `GitHub issue #${f.number} in ${f.repo} — ${f.state}${f.author ? `, by ${f.author}` : ''}${countComments(f)}`,
+  ],
+  'stackoverflow-question': f => [
+    `Q&A · score ${f.score} · ${plural(f.answers, 'answer')}`
+      + (f.answer ? ` · ${f.accepted ? 'accepted' : 'top'} answer${f.answer.author ? ` by ${f.answer.author}` : ''} (score ${f.answer.score})` : ''),
+    ...(f.tags?.length > 0 ? [`Tags: ${f.tags.join(', ')}`] : []),
+  ],
+  'youtube-video': f => [
+    `YouTube video${f.channel ? ` · ${f.channel}` : ''}${f.duration ? ` · ${f.duration}` : ''}`,
+  ],
+  'arxiv-paper': f => [
+    `arXiv ${f.arxivId}${f.date ? ` (${f.date})` : ''}${f.subjects ? ` · ${f.subjects}` : ''}`,
+    ...(f.authors?.length > 0 ? [`Authors: ${listSome(f.authors, 6)}`] : []),
+  ],
+  'pdf': f => [`PDF${f.pageCount ? ` · ${plural(f.pageCount, 'page')}` : ''}`],
+};
+
+// Detail lines for a stored page or freshly extracted content ([] for articles)
+export function formatPageKind({ kind, fields }) {
+  const format = KINDS[kind];
+  if (!format || !fields) return [];
+  try {
+    return format(fields);
+  } catch (e) {
+    return [];
+  }
+}
+
+function countComments(f) {
+  return f.comments?.length > 0 ? ` · ${plural(f.comments.length, 'comment')}` : '';
+}
+
+function listSome(items, max) {
+  return items.length > max ? `${items.slice(0, max).join(', ')} +${items.length - max} more` : items.join(', ');
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
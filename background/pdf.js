@@ -0,0 +1,114 @@
+// StarkChrome v2 — PDF Extraction
+// Content scripts don't run inside Chrome's PDF viewer, so PDFs are read
+// from the extension instead: an offscreen document (offscreen/) fetches the
+// file and runs the bundled pdf.js (lib/pdfjs/) over it. The result has the
+// same shape as the content script's — { meta, kind: 'pdf', fields, text,
+// markdown, wordCount, extractedAt } — so tracker.js and "Send to Stark"
+// treat both alike.
+
+const OFFSCREEN_URL = 'offscreen/offscreen.html';
+const PDF_TIMEOUT_MS = 60 * 1000;
+const READY_TIMEOUT_MS = 5 * 1000;     // the offscreen document answers a ping once pdf.js has loaded
+const PDFJS_FILES = ['pdf.min.mjs', 'pdf.worker.min.mjs'];
+
+let creating = null;      // in-flight createDocument()
+let inFlight = 0;         // extractions using the offscreen document
+
+// Content of the page in a tab: the content script for HTML pages, pdf.js for PDFs
+export async function extractTabContent(tabId, url) {
+  if (looksLikePdf(url)) return extractPdf(url);
+  try {
+    return await chrome.tabs.sendMessage(tabId, { type: 'extract_content' });
+  } catch (e) {
+    // No content script: a PDF served without a .pdf path, or a page we can't read
+    if (await servesPdf(url)) return extractPdf(url);
+    throw e;
+  }
+}
+
+// Fetch + parse a PDF in the offscreen document
+export async function extractPdf(url) {
+  inFlight++;
+  try {
+    await ensureOffscreen();
+    await assertOffscreenReady();
+    const result = await withTimeout(
+      chrome.runtime.sendMessage({ target: 'offscreen', type: 'extract_pdf', url }),
+      PDF_TIMEOUT_MS,
+      'PDF extraction timed out',
+    );
+    if (!result) throw new Error('PDF reader did not answer');
+    if (!result.success) throw new Error(result.reason || 'PDF extraction failed');
+    return result.content;
+  } finally {
+    inFlight--;
+    // pdf.js holds on to a lot of memory — don't keep the document around idle
+    if (inFlight === 0) await chrome.offscreen.closeDocument().catch(() => {});
+  }
+}
+
+export function looksLikePdf(url) {
+  try {
+    const u = new URL(url);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+    return /\.pdf$/i.test(u.pathname) || (/(^|\.)arxiv\.org$/.test(u.hostname) && u.pathname.startsWith('/pdf/'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+async function servesPdf(url) {
+  if (!/^https?:/.test(url || '')) return false;
+  try {
+    const response = await fetch(url, { method: 'HEAD', credentials: 'include' });
+    return (response.headers.get('content-type') || '').includes('application/pdf');
+  } catch (e) {
+    return false;
+  }
+}
+
+async function ensureOffscreen() {
+  const existing = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  if (existing.length > 0) return;
+  if (!creating) {
+    creating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Extract text from PDFs with pdf.js',
+    }).finally(() => { creating = null; });
+  }
+  await creating;
+}
+
+// A document whose module failed to load (pdf.js missing or broken) has no
+// listener: fail now with a clear error instead of waiting for the timeout
+async function assertOffscreenReady() {
+  let reply;
+  try {
+    reply = await withTimeout(
+      chrome.runtime.sendMessage({ target: 'offscreen', type: 'ping' }),
+      READY_TIMEOUT_MS,
+      'PDF reader did not start',
+    );
+  } catch (e) {
+    reply = null;
+  }
+  if (!reply?.ready) {
+    throw new Error(`PDF reader unavailable — check that ${PDFJS_FILES.join(' and ')} are in lib/pdfjs/`);
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
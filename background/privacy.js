@@ -6,6 +6,8 @@ const DEFAULT_SETTINGS = {
   enabled: true,
   trackIncognito: false,
   domainBlocklist: ['bank', 'chase.com', 'wellsfargo.com', 'bankofamerica.com', 'paypal.com', 'venmo.com', 'health', 'patient', 'medical', 'pharmacy'],
+  // Per-rule actions (see redact.js for defaults) + user patterns [{ name, pattern, flags, action }]
+  redaction: { rules: {}, custom: [] },
 };
 
 const INTERNAL_PATTERNS = [/^chrome:\/\//, /^chrome-extension:\/\//, /^about:/, /^edge:\/\//, /^brave:\/\//];
@@ -0,0 +1,226 @@
+// StarkChrome v2 — Redaction
+// Scrubs personal data and secrets from text before it is stored
+// (addPageContent) or leaves the machine (postToAgent, postToLogger):
+// emails, phone numbers, card numbers (Luhn-checked), IBANs (checksum),
+// JWTs, well-known API key formats and other high-entropy tokens, plus the
+// user's own patterns (Options → Privacy).
+//
+// Each rule either masks ("[email]" in place of the match) or drops the
+// match; built-in rules can also be turned off. Settings live in the privacy
+// settings as `redaction: { rules: { [id]: 'mask'|'drop'|'off' }, custom: [...] }`.
+
+import { getPrivacySettings } from './privacy.js';
+
+export const REDACTION_ACTIONS = ['mask', 'drop', 'off'];
+
+const DROPPED = '\u0000';       // stands in for a dropped match until the spaces around it are tidied
+const LABEL_CONTEXT = 40;       // chars before a match checked for a "token=" style label
+// Hex only counts as a secret right after a label — bare hex is usually a
+// commit SHA or a digest, which pages (GitHub, docs) are full of
+const SECRET_LABEL = /(secret|token|api[_-]?key|access[_-]?key|auth|password|passwd|pwd|signature|credential)s?["']?\s*[:=]\s*["']?$/i;
+
+// Order matters: specific formats first, so a JWT isn't half-eaten as a
+// generic token and a card number isn't read as a phone number
+const BUILTIN_RULES = [
+  {
+    id: 'privateKey',
+    label: 'private key',
+    pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )?PRIVATE KEY-----/g,
+  },
+  {
+    id: 'jwt',
+    label: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    id: 'apiKey',
+    label: 'api key',
+    pattern: new RegExp([
+      /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/,                            // AWS access key id
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b/, /\bgithub_pat_[A-Za-z0-9_]{50,}\b/,   // GitHub
+      /\bglpat-[A-Za-z0-9_-]{20,}\b/,                              // GitLab
+      /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/,                         // Slack
+      /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/,              // Stripe secret/restricted
+      /\bAIza[0-9A-Za-z_-]{35}\b/,                                 // Google
+      /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}\b/,                  // OpenAI / Anthropic
+      /\bnpm_[A-Za-z0-9]{36}\b/,                                   // npm
+      /\bSG\.[A-Za-z0-9_-]{16,}\.[A-Za-z0-9_-]{16,}\b/,            // SendGrid
+      /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/,                       // Authorization headers
+    ].map(r => r.source).join('|'), 'g'),
+  },
+  {
+    id: 'email',
+    label: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    id: 'card',
+    label: 'card number',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => luhn(match.replace(/\D/g, '')),
+  },
+  {
+    id: 'iban',
+    label: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: match => ibanChecksum(match.replace(/ /g, '')),
+  },
+  {
+    id: 'phone',
+    label: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}[ .-]\d{3,4}(?:[ .-]\d{2,4}){0,2}(?![\w-])/g,
+    validate: looksLikePhone,
+  },
+  {
+    id: 'secret',
+    label: 'secret',
+    pattern: /(?<![\w/.-])[A-Za-z0-9+_=-]{24,}(?![\w/.-])/g,
+    validate: looksLikeSecret,
+  },
+];
+
+const DEFAULT_RULES = {
+  privateKey: 'drop', jwt: 'drop', apiKey: 'drop', secret: 'mask',
+  email: 'mask', card: 'mask', iban: 'mask', phone: 'mask',
+};
+
+// Rule ids + labels for the options page
+export function getRedactionRules() {
+  return BUILTIN_RULES.map(({ id, label }) => ({ id, label, defaultAction: DEFAULT_RULES[id] }));
+}
+
+// ============================================================
+// REDACTION
+// ============================================================
+
+// Text → { text, counts: { [ruleId]: n } }
+export function redactText(text, rules = activeRules()) {
+  const counts = {};
+  if (!text || typeof text !== 'string') return { text, counts };
+  let out = text;
+  for (const rule of rules) {
+    out = out.replace(rule.pattern, (match, ...args) => {
+      if (!match) return match;      // a pattern that can match nothing would mark every position
+      const offset = args.find(a => typeof a === 'number');
+      if (rule.validate && !rule.validate(match, out.slice(Math.max(0, offset - LABEL_CONTEXT), offset))) return match;
+      counts[rule.id] = (counts[rule.id] || 0) + 1;
+      return rule.action === 'drop' ? DROPPED : `[${rule.label}]`;
+    });
+  }
+  // "a <dropped> b" → "a b": only the space next to a drop goes, so
+  // indentation elsewhere (code blocks, nested lists) is untouched
+  if (out.includes(DROPPED)) out = out.replace(/[ \t]\u0000+(?=\s|$)/g, '').replaceAll(DROPPED, '');
+  return { text: out, counts };
+}
+
+// Redact every string in a value (page entry, logger event). `url` fields
+// are left alone — they are already sanitized and identify the page.
+export function redact(value, rules = activeRules()) {
+  if (typeof value === 'string') return redactText(value, rules).text;
+  if (Array.isArray(value)) return value.map(v => redact(v, rules));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = key === 'url' ? v : redact(v, rules);
+    return out;
+  }
+  return value;
+}
+
+let compiled = { settings: null, rules: [] };
+
+// Built-in rules (minus the ones turned off) + valid custom patterns,
+// compiled once per settings change
+function activeRules() {
+  const settings = getPrivacySettings().redaction || {};
+  if (compiled.settings === settings) return compiled.rules;
+  const actions = { ...DEFAULT_RULES, ...settings.rules };
+  const rules = BUILTIN_RULES
+    .filter(rule => actions[rule.id] !== 'off')
+    .map(rule => ({ ...rule, action: actions[rule.id] }));
+
+  for (const custom of settings.custom || []) {
+    try {
+      const flags = [...new Set(`${custom.flags || ''}g`)].join('');
+      if (new RegExp(custom.pattern, custom.flags || '').test('')) throw new Error('matches empty text');
+      rules.push({
+        id: `custom:${custom.name}`,
+        label: custom.name,
+        pattern: new RegExp(custom.pattern, flags),
+        action: custom.action === 'drop' ? 'drop' : 'mask',
+      });
+    } catch (e) {
+      console.warn(`[StarkChrome] Ignoring redaction pattern "${custom.name}":`, e.message);
+    }
+  }
+  compiled = { settings, rules };
+  return rules;
+}
+
+// ============================================================
+// CHECKS
+// ============================================================
+
+function luhn(digits) {
+  if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616: move the first four characters to the end, letters → numbers, mod 97 = 1
+function ibanChecksum(iban) {
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const value = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+// Phone-shaped: a +country code or (area code), or three or more digit
+// groups split by one kind of separator — not dates, versions or IPs
+function looksLikePhone(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 15) return false;
+  if (/^\d{4}[-.]\d{2}[-.]\d{2}$/.test(match) || /^\d{1,2}[-.]\d{1,2}[-.]\d{2,4}$/.test(match)) return false;
+  if (isIPv4(match)) return false;
+  const international = match.startsWith('+') || match.includes('(');
+  const body = match.replace(/^\+\d{1,3}[ .-]?/, '').replace(/^\(\d{1,4}\)[ .-]?/, '');
+  const separators = new Set(body.match(/[ .-]/g) || []);
+  if (separators.size > 1) return false;
+  return international || body.split(/[ .-]/).length >= 3;
+}
+
+function isIPv4(text) {
+  const parts = text.split('.');
+  return parts.length === 4 && parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255);
+}
+
+// Random-looking: mixes letters and digits and has high Shannon entropy.
+// Hex strings (hashes, ids) only when labelled as a key or token.
+function looksLikeSecret(token, before = '') {
+  if (!/\d/.test(token) || !/[A-Za-z]/.test(token)) return false;
+  const hex = /^[0-9a-f]+$/i.test(token);
+  if (hex) return token.length >= 32 && SECRET_LABEL.test(before) && entropy(token) >= 3;
+  return /[a-z]/.test(token) && /[A-Z]/.test(token) && entropy(token) >= 4.2;
+}
+
+function entropy(text) {
+  const counts = {};
+  for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+  let bits = 0;
+  for (const n of Object.values(counts)) {
+    const p = n / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
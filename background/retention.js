@@ -0,0 +1,291 @@
+// StarkChrome v2 — Retention & Storage Quota
+// Each kind of stored data has its own retention window (days):
+//   events   — IndexedDB event log
+//   content  — content_YYYY-MM-DD page text, plus its search-index entries
+//   rollups  — rollup_YYYY-MM-DD daily summaries
+// Webhook sends are not queued in this build (failures are only counted),
+// so there is no outbox to retain.
+//
+// On top of the age limits, chrome.storage.local is kept under its quota:
+// once usage passes the high-water mark, the lowest-value data goes first
+// (short reads on old days, then old rollups) until it is back under the
+// low-water mark. IndexedDB gets the same treatment against the origin quota.
+
+import { pruneEvents, removePageContent, dayKey, parseDayKey } from './store.js';
+import { removeFromIndex, removeDayFromIndex } from './search.js';
+import { dbCount, dbSample } from './db.js';
+import { isLocked, openStored } from './vault.js';
+
+const SETTINGS_KEY = 'retention';
+const RETENTION_ALARM = 'starkchrome-retention';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONTENT_PREFIX = 'content_';
+const ROLLUP_PREFIX = 'rollup_';
+
+export const DEFAULT_RETENTION = { events: 90, content: 30, rollups: 365 };
+const MIN_DAYS = 1;
+const MAX_DAYS = 3650;
+
+// chrome.storage.local is capped at 10 MB without unlimitedStorage
+const QUOTA_BYTES = chrome.storage.local.QUOTA_BYTES || 10 * 1024 * 1024;
+const HIGH_WATER = 0.85;
+const LOW_WATER = 0.7;
+
+// Rollups this recent are never evicted for space — digests and the popup read them
+const KEEP_RECENT_ROLLUP_DAYS = 30;
+// Event types dropped first when IndexedDB runs short (no digest section uses them)
+const LOW_VALUE_EVENT_TYPES = ['tab.activated', 'idle'];
+const SAMPLE_SIZE = 200;
+
+// ============================================================
+// SETTINGS
+// ============================================================
+
+// Per-type retention in days, with defaults filled in and bounds applied
+export async function getRetention() {
+  const stored = (await chrome.storage.local.get(SETTINGS_KEY))[SETTINGS_KEY] || {};
+  const retention = {};
+  for (const [type, fallback] of Object.entries(DEFAULT_RETENTION)) {
+    const days = parseInt(stored[type]);
+    retention[type] = Number.isFinite(days) ? Math.min(MAX_DAYS, Math.max(MIN_DAYS, days)) : fallback;
+  }
+  return retention;
+}
+
+// ============================================================
+// SCHEDULING — hourly, plus once at startup
+// ============================================================
+
+export function scheduleRetention() {
+  chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 60, periodInMinutes: 60 });
+}
+
+export async function handleRetentionAlarm(alarm) {
+  if (alarm.name !== RETENTION_ALARM) return false;
+  await enforceRetention();
+  return true;
+}
+
+// Apply age limits, then the quota. Returns what was removed.
+export async function enforceRetention() {
+  const result = { events: 0, contentDays: 0, rollups: 0, evicted: null };
+  try {
+    const retention = await getRetention();
+    const keys = await listKeys();
+
+    result.events = await pruneEvents(Date.now() - retention.events * DAY_MS);
+
+    const contentCutoff = cutoffDay(retention.content);
+    for (const date of daysWithPrefix(keys, CONTENT_PREFIX)) {
+      if (date >= contentCutoff) continue;
+      await removePageContent(date);
+      await removeDayFromIndex(date);
+      result.contentDays++;
+    }
+
+    const rollupCutoff = cutoffDay(retention.rollups);
+    const oldRollups = daysWithPrefix(keys, ROLLUP_PREFIX)
+      .filter(date => date < rollupCutoff)
+      .map(date => ROLLUP_PREFIX + date);
+    if (oldRollups.length > 0) await chrome.storage.local.remove(oldRollups);
+    result.rollups = oldRollups.length;
+
+    result.evicted = await enforceQuota();
+
+    if (result.events || result.contentDays || result.rollups) {
+      console.log(`[StarkChrome] Retention: removed ${result.events} events, ${result.contentDays} days of page content, ${result.rollups} rollups`);
+    }
+  } catch (e) {
+    console.error('[StarkChrome] Retention failed:', e);
+  }
+  return result;
+}
+
+// ============================================================
+// QUOTA
+// ============================================================
+
+// Bring chrome.storage.local under the low-water mark if it is over the
+// high-water mark (or unconditionally with force, after a QUOTA error).
+export async function enforceQuota({ force = false } = {}) {
+  const evicted = { pages: 0, rollups: 0, events: 0 };
+  let used = await chrome.storage.local.getBytesInUse(null);
+  const target = QUOTA_BYTES * LOW_WATER;
+
+  if (force || used > QUOTA_BYTES * HIGH_WATER) {
+    const keys = await listKeys();
+
+    // 1. Page content, lowest value first: short reads on old days.
+    //    Today's pages are left alone — they feed tonight's digest.
+    //    Encrypted pages can't be ranked while locked, so they wait.
+    const today = dayKey();
+    const days = isLocked() ? [] : daysWithPrefix(keys, CONTENT_PREFIX).filter(d => d < today);
+    const contentByDay = days.length > 0
+      ? await chrome.storage.local.get(days.map(d => CONTENT_PREFIX + d))
+      : {};
+    const candidates = [];
+    for (const date of days) {
+      const ageDays = Math.max(1, Math.round((parseDayKey(today) - parseDayKey(date)) / DAY_MS));
+      for (const page of (await openStored(contentByDay[CONTENT_PREFIX + date])) || []) {
+        candidates.push({
+          date,
+          url: page.url,
+          value: (page.timeSpent || 0) / ageDays,
+          bytes: JSON.stringify(page).length,
+        });
+      }
+    }
+    candidates.sort((a, b) => a.value - b.value);
+
+    const batch = new Map();   // date → [urls]
+    for (const c of candidates) {
+      if (used <= target) break;
+      if (!batch.has(c.date)) batch.set(c.date, []);
+      batch.get(c.date).push(c.url);
+      used -= c.bytes;
+    }
+    for (const [date, urls] of batch) {
+      const removed = await removePageContent(date, urls);
+      for (const url of removed) await removeFromIndex(date, url);
+      evicted.pages += removed.length;
+    }
+
+    // 2. Rollups, oldest first, keeping the recent ones
+    used = await chrome.storage.local.getBytesInUse(null);
+    if (used > target) {
+      const keep = cutoffDay(KEEP_RECENT_ROLLUP_DAYS);
+      const rollupKeys = daysWithPrefix(keys, ROLLUP_PREFIX)
+        .filter(d => d < keep)
+        .map(d => ROLLUP_PREFIX + d);
+      const drop = [];
+      for (const key of rollupKeys) {
+        if (used <= target) break;
+        used -= await chrome.storage.local.getBytesInUse(key);
+        drop.push(key);
+      }
+      if (drop.length > 0) await chrome.storage.local.remove(drop);
+      evicted.rollups = drop.length;
+    }
+  }
+
+  evicted.events = await relieveIndexedDb();
+
+  if (evicted.pages || evicted.rollups || evicted.events) {
+    console.warn(`[StarkChrome] Storage near quota — evicted ${evicted.pages} pages, ${evicted.rollups} rollups, ${evicted.events} events`);
+  }
+  return evicted;
+}
+
+// The event log and search index share the origin's IndexedDB quota.
+// If that is nearly full, drop low-value event types older than a week,
+// then the oldest half of whatever is left.
+async function relieveIndexedDb() {
+  const { usage, quota } = await estimateStorage();
+  if (!quota || usage < quota * HIGH_WATER) return 0;
+
+  let removed = await pruneEvents(Date.now() - 7 * DAY_MS, LOW_VALUE_EVENT_TYPES);
+  const after = await estimateStorage();
+  if (after.usage >= after.quota * HIGH_WATER) {
+    const retention = await getRetention();
+    removed += await pruneEvents(Date.now() - (retention.events / 2) * DAY_MS);
+  }
+  return removed;
+}
+
+// Run a chrome.storage write; on a QUOTA error, evict and try once more
+export async function withQuotaRetry(write) {
+  try {
+    return await write();
+  } catch (e) {
+    if (!/quota/i.test(e?.message || '')) throw e;
+    console.warn('[StarkChrome] Storage quota hit — evicting old data and retrying');
+    await enforceQuota({ force: true });
+    return write();
+  }
+}
+
+// ============================================================
+// BREAKDOWN — for the options page
+// ============================================================
+
+// Bytes per data type. chrome.storage figures are exact (getBytesInUse);
+// IndexedDB usage is split between events and the search index by sampled
+// record sizes.
+export async function getStorageBreakdown() {
+  const keys = await listKeys();
+  const contentKeys = keys.filter(k => k.startsWith(CONTENT_PREFIX));
+  const rollupKeys = keys.filter(k => k.startsWith(ROLLUP_PREFIX));
+
+  const [total, content, rollups] = await Promise.all([
+    chrome.storage.local.getBytesInUse(null),
+    contentKeys.length ? chrome.storage.local.getBytesInUse(contentKeys) : 0,
+    rollupKeys.length ? chrome.storage.local.getBytesInUse(rollupKeys) : 0,
+  ]);
+
+  const [{ indexedDb }, eventCount, docCount, eventSample, termSample, docSample, termCount] = await Promise.all([
+    estimateStorage(),
+    dbCount('events'),
+    dbCount('searchDocs'),
+    dbSample('events', SAMPLE_SIZE),
+    dbSample('searchTerms', SAMPLE_SIZE),
+    dbSample('searchDocs', SAMPLE_SIZE),
+    dbCount('searchTerms'),
+  ]);
+  const eventGuess = eventCount * averageSize(eventSample);
+  const searchGuess = docCount * averageSize(docSample) + termCount * averageSize(termSample);
+  const share = eventGuess + searchGuess > 0 ? eventGuess / (eventGuess + searchGuess) : 1;
+
+  return {
+    events: { count: eventCount, bytes: Math.round(indexedDb * share) },
+    content: { days: contentKeys.length, bytes: content },
+    rollups: { days: rollupKeys.length, bytes: rollups },
+    searchIndex: { pages: docCount, bytes: Math.round(indexedDb * (1 - share)) },
+    other: { bytes: Math.max(0, total - content - rollups) },
+    chromeStorage: { bytes: total, quota: QUOTA_BYTES },
+    retention: await getRetention(),
+  };
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+// All chrome.storage.local keys (getKeys() where available, else a full read)
+async function listKeys() {
+  if (chrome.storage.local.getKeys) return chrome.storage.local.getKeys();
+  return Object.keys(await chrome.storage.local.get(null));
+}
+
+// Sorted dates of keys like `${prefix}YYYY-MM-DD`
+function daysWithPrefix(keys, prefix) {
+  return keys
+    .filter(k => k.startsWith(prefix) && /^\d{4}-\d{2}-\d{2}$/.test(k.slice(prefix.length)))
+    .map(k => k.slice(prefix.length))
+    .sort();
+}
+
+// Oldest day still inside a window of `days` days (today counts as one)
+function cutoffDay(days) {
+  const d = new Date();
+  d.setDate(d.getDate() - days + 1);
+  return dayKey(d);
+}
+
+async function estimateStorage() {
+  try {
+    const est = await navigator.storage.estimate();
+    return {
+      usage: est.usage || 0,
+      quota: est.quota || 0,
+      indexedDb: est.usageDetails?.indexedDB ?? est.usage ?? 0,
+    };
+  } catch (e) {
+    return { usage: 0, quota: 0, indexedDb: 0 };
+  }
+}
+
+function averageSize(records) {
+  if (records.length === 0) return 0;
+  return records.reduce((sum, r) => sum + JSON.stringify(r).length, 0) / records.length;
+}
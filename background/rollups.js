@@ -0,0 +1,180 @@
+// StarkChrome v2 — Daily Rollups
+// At each day boundary, writes an immutable summary of that day under
+// `rollup_YYYY-MM-DD`: time per domain, path prefix and URL, watched/listened
+// (passive) time, visits, categories, active hours, sessions, searches,
+// research trails, topics, tab stats, comebacks, bookmarks, downloads and
+// clips sent to the agent. Finalized days also feed the topic corpus.
+// Digests, the popup and exports read these, so a digest for a past day
+// (or one sent the morning after) shows that day's real times.
+
+import { getEventsForDay, getDomainStats, getOldestEvent, getPageContent, dayKey, parseDayKey } from './store.js';
+import { getPageTimes, getUrlTimes, getPathTimes, getPassiveTimes, getPendingTimeDays, clearDayTimes } from './tracker.js';
+import { categorize } from './categories.js';
+import { buildSessions } from './sessions.js';
+import { getTabStats } from './tab-lifecycle.js';
+import { buildTrails } from './trails.js';
+import { groupSearches } from './search-engines.js';
+import { buildTopics, addDayToCorpus } from './topics.js';
+import { withQuotaRetry } from './retention.js';
+import { isLocked, sealStored, openStored } from './vault.js';
+
+const ROLLUP_PREFIX = 'rollup_';
+const LAST_ROLLUP_KEY = 'lastRollupDay';   // newest finalized day
+// 2 adds paths + urls[].path, 3 passive, 4 sessions, 5 tabs, 6 trails, 7 searches, 8 clips, 9 topics
+const ROLLUP_VERSION = 9;
+const MAX_URLS = 200;
+const MAX_PATHS = 100;
+const MAX_PASSIVE = 50;
+
+// Build a summary for a day from the event log + tracker times (not saved)
+export async function buildRollup(day) {
+  const events = await getEventsForDay(parseDayKey(day));
+  const domains = getDomainStats(events);
+  for (const d of Object.values(domains)) {
+    d.totalMs = 0;
+    d.sessions = 0;
+  }
+  for (const t of getPageTimes(day)) {
+    if (!domains[t.domain]) domains[t.domain] = { visits: 0, cat: categorize(t.domain), title: '', firstSeen: null, lastSeen: null };
+    domains[t.domain].totalMs = t.totalMs;
+    domains[t.domain].sessions = t.sessions;
+  }
+
+  const categories = {};
+  for (const d of Object.values(domains)) {
+    const c = categories[d.cat] || (categories[d.cat] = { visits: 0, totalMs: 0 });
+    c.visits += d.visits;
+    c.totalMs += d.totalMs;
+  }
+
+  const passive = getPassiveTimes(day);
+  const pages = await getPageContent(day);
+  const hours = new Array(24).fill(0);
+  for (const e of events) hours[new Date(e.t).getHours()]++;
+
+  return {
+    date: day,
+    version: ROLLUP_VERSION,
+    eventCount: events.length,
+    pageLoads: events.filter(e => e.type === 'navigation' || e.type === 'tab.activated').length,
+    firstEvent: events[0]?.t || null,
+    lastEvent: events[events.length - 1]?.t || null,
+    activeMs: getPageTimes(day).reduce((sum, t) => sum + t.totalMs, 0),
+    domains,
+    urls: getUrlTimes(day).slice(0, MAX_URLS),
+    paths: getPathTimes(day).slice(0, MAX_PATHS),
+    passiveMs: passive.reduce((sum, t) => sum + t.totalMs, 0),
+    passive: passive.slice(0, MAX_PASSIVE),
+    categories,
+    hours,
+    sessions: buildSessions(events, pages),
+    searches: groupSearches(events),
+    trails: buildTrails(events),
+    topics: await buildTopics(events, pages),
+    tabs: getTabStats(events),
+    comebacks: events
+      .filter(e => e.type === 'user.comeback')
+      .map(e => ({ t: e.t, awayMinutes: e.data?.awayMinutes || 0 })),
+    bookmarks: events
+      .filter(e => e.type === 'bookmark.created')
+      .map(e => ({ t: e.t, title: e.data?.title || e.title, url: e.data?.url || e.url })),
+    downloads: events
+      .filter(e => e.type === 'download.completed')
+      .map(e => ({ t: e.t, ...e.data })),
+    clips: events
+      .filter(e => e.type === 'clip.sent')
+      .map(e => ({ t: e.t, url: e.url, title: e.title, ...e.data })),
+  };
+}
+
+// Write a day's rollup once. Existing rollups are never rewritten.
+// Returns true if a rollup was written (empty days are skipped).
+export async function finalizeDay(day) {
+  const key = ROLLUP_PREFIX + day;
+  if ((await chrome.storage.local.get(key))[key]) {
+    // Time that landed after the day was finalized (e.g. a long passive
+    // stretch ending past midnight) can't be added to an immutable rollup
+    if (getPendingTimeDays().includes(day)) await clearDayTimes(day);
+    return false;
+  }
+
+  const rollup = await buildRollup(day);
+  rollup.finalizedAt = Date.now();
+  const hasData = rollup.eventCount > 0 || rollup.activeMs > 0 || rollup.passiveMs > 0;
+  if (hasData) {
+    const stored = await sealStored(rollup);
+    await withQuotaRetry(() => chrome.storage.local.set({ [key]: stored }));
+    await addDayToCorpus(day).catch(e => console.warn('[StarkChrome] Topic corpus update failed:', e.message));
+  }
+  await clearDayTimes(day);
+  return hasData;
+}
+
+// Finalize every day before today that hasn't been rolled up yet.
+// Runs on startup and on the periodic persist alarm, so the day boundary
+// is picked up within minutes even if the service worker was asleep.
+// Waits while the store is locked — a rollup built then would miss events.
+export async function finalizePastDays() {
+  if (isLocked()) return 0;
+  const today = dayKey();
+  const last = (await chrome.storage.local.get(LAST_ROLLUP_KEY))[LAST_ROLLUP_KEY];
+
+  // Candidate days: days with pending tracker time, plus every day since the
+  // last finalized one (or since the oldest event on first run)
+  const days = new Set(getPendingTimeDays().filter(d => d < today));
+  let cursor;
+  if (last) {
+    cursor = parseDayKey(last);
+    cursor.setDate(cursor.getDate() + 1);
+  } else {
+    const oldest = await getOldestEvent();
+    cursor = oldest ? parseDayKey(dayKey(new Date(oldest.t))) : parseDayKey(today);
+  }
+  for (; dayKey(cursor) < today; cursor.setDate(cursor.getDate() + 1)) {
+    days.add(dayKey(cursor));
+  }
+
+  let count = 0;
+  for (const day of [...days].sort()) {
+    if (await finalizeDay(day)) count++;
+  }
+
+  const yesterday = parseDayKey(today);
+  yesterday.setDate(yesterday.getDate() - 1);
+  if (!last || dayKey(yesterday) > last) {
+    await chrome.storage.local.set({ [LAST_ROLLUP_KEY]: dayKey(yesterday) });
+  }
+  if (count > 0) console.log(`[StarkChrome] Rolled up ${count} day(s)`);
+  return count;
+}
+
+// Rollup for a day: the stored one if finalized, else a live build
+// (today, or a past day not yet finalized)
+export async function getRollup(day = dayKey()) {
+  const key = ROLLUP_PREFIX + day;
+  const stored = (await chrome.storage.local.get(key))[key];
+  return stored ? openStored(stored) : buildRollup(day);
+}
+
+// All stored rollups, keyed by day (for archive export)
+export async function getAllRollups() {
+  const all = await chrome.storage.local.get(null);
+  const rollups = {};
+  for (const [key, value] of Object.entries(all)) {
+    if (key.startsWith(ROLLUP_PREFIX)) rollups[key.slice(ROLLUP_PREFIX.length)] = await openStored(value);
+  }
+  return rollups;
+}
+
+// Restore archived rollups. Days that already have one keep theirs.
+export async function restoreRollups(rollups) {
+  let restored = 0;
+  for (const [day, rollup] of Object.entries(rollups || {})) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !rollup || typeof rollup !== 'object') continue;
+    const key = ROLLUP_PREFIX + day;
+    if ((await chrome.storage.local.get(key))[key]) continue;
+    await chrome.storage.local.set({ [key]: await sealStored(rollup) });
+    restored++;
+  }
+  return restored;
+}
@@ -0,0 +1,176 @@
+// StarkChrome v2 — Search Engine Registry
+// Recognizes search result pages and records them as `search.performed`
+// events: { engine, query, vertical }. Rollups group a day's searches into
+// refinement chains ("react hydration" → "react hydration mismatch nextjs")
+// for the digest's "What You Searched For" section.
+//
+// Each engine: hosts it runs on, result-page paths, the query parameter,
+// and how to tell the vertical (images, news, code…) — a parameter, the
+// path, or fixed.
+
+import { recordEvent } from './store.js';
+import { getDomain } from './privacy.js';
+import { tokenize, isStopword } from './text.js';
+
+const ENGINES = [
+  {
+    id: 'google-scholar', name: 'Google Scholar', host: /^scholar\.google\./, path: /^\/scholar$/, param: 'q',
+    vertical: () => 'papers',
+  },
+  {
+    id: 'google', name: 'Google', host: /(^|\.)google\.[a-z.]+$/, path: /^\/search$/, param: 'q',
+    vertical: u => GOOGLE_TBM[u.searchParams.get('tbm')] || GOOGLE_UDM[u.searchParams.get('udm')] || 'web',
+  },
+  {
+    id: 'bing', name: 'Bing', host: /(^|\.)bing\.com$/, path: /^\/(images\/|videos\/|news\/)?search$|^\/shop$/, param: 'q',
+    vertical: u => pathVertical(u.pathname),
+  },
+  {
+    id: 'duckduckgo', name: 'DuckDuckGo', host: /(^|\.)duckduckgo\.com$/, path: /^\/(html\/?|lite\/?)?$/, param: 'q',
+    vertical: u => u.searchParams.get('ia') || 'web',
+  },
+  {
+    id: 'kagi', name: 'Kagi', host: /(^|\.)kagi\.com$/, path: /^\/(search|images|videos|news)$/, param: 'q',
+    vertical: u => pathVertical(u.pathname),
+  },
+  {
+    id: 'brave', name: 'Brave Search', host: /^search\.brave\.com$/, path: /^\/(search|images|videos|news)$/, param: 'q',
+    vertical: u => pathVertical(u.pathname),
+  },
+  { id: 'ecosia', name: 'Ecosia', host: /(^|\.)ecosia\.org$/, path: /^\/search$/, param: 'q' },
+  { id: 'perplexity', name: 'Perplexity', host: /(^|\.)perplexity\.ai$/, path: /^\/search/, param: 'q' },
+  {
+    id: 'github', name: 'GitHub', host: /^github\.com$/, path: /^(\/[^/]+\/[^/]+)?\/search$/, param: 'q',
+    // In-repo searches default to code
+    vertical: u => (u.searchParams.get('type') || (u.pathname === '/search' ? 'repositories' : 'code')).toLowerCase(),
+  },
+  { id: 'stackoverflow', name: 'Stack Overflow', host: /(^|\.)stackoverflow\.com$/, path: /^\/search$/, param: 'q', vertical: () => 'questions' },
+  { id: 'youtube', name: 'YouTube', host: /(^|\.)youtube\.com$/, path: /^\/results$/, param: 'search_query', vertical: () => 'videos' },
+  { id: 'npm', name: 'npm', host: /(^|\.)npmjs\.com$/, path: /^\/search$/, param: 'q', vertical: () => 'packages' },
+  { id: 'pypi', name: 'PyPI', host: /^pypi\.org$/, path: /^\/search\/?$/, param: 'q', vertical: () => 'packages' },
+  { id: 'crates', name: 'crates.io', host: /^crates\.io$/, path: /^\/search$/, param: 'q', vertical: () => 'packages' },
+  { id: 'mdn', name: 'MDN', host: /^developer\.mozilla\.org$/, path: /^\/[^/]+\/search$/, param: 'q', vertical: () => 'docs' },
+  {
+    id: 'wikipedia', name: 'Wikipedia', host: /(^|\.)wikipedia\.org$/, path: /^\/(w\/index\.php|wiki\/Special:Search)$/, param: 'search',
+    vertical: () => 'encyclopedia',
+  },
+  {
+    id: 'reddit', name: 'Reddit', host: /(^|\.)reddit\.com$/, path: /^(\/r\/[^/]+)?\/search\/?$/, param: 'q',
+    vertical: u => u.searchParams.get('type') || 'posts',
+  },
+  { id: 'x', name: 'X', host: /^(x|twitter)\.com$/, path: /^\/search$/, param: 'q', vertical: () => 'posts' },
+  { id: 'hn', name: 'HN Search', host: /^hn\.algolia\.com$/, path: /^\/$/, param: 'query', vertical: () => 'posts' },
+  { id: 'arxiv', name: 'arXiv', host: /(^|\.)arxiv\.org$/, path: /^\/search\/?$/, param: 'query', vertical: () => 'papers' },
+  { id: 'amazon', name: 'Amazon', host: /(^|\.)amazon\.[a-z.]+$/, path: /^\/s$/, param: 'k', vertical: () => 'shopping' },
+];
+
+const GOOGLE_TBM = { isch: 'images', nws: 'news', vid: 'videos', shop: 'shopping', bks: 'books' };
+const GOOGLE_UDM = { 2: 'images', 7: 'videos', 12: 'news', 14: 'web', 28: 'shopping' };
+
+const REPEAT_MS = 10 * 60 * 1000;     // same search again within 10 min (pagination, back) → not new
+const REFINE_MS = 15 * 60 * 1000;     // a refinement follows the previous query within 15 min
+const MAX_QUERY_LENGTH = 200;
+
+const lastSeen = new Map();           // 'engine|vertical|query' → time last recorded
+
+// ============================================================
+// DETECTION
+// ============================================================
+
+// Search result page URL → { engine, query, vertical }, or null
+export function parseSearch(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const host = u.hostname.toLowerCase().replace(/^www\./, '');
+  for (const engine of ENGINES) {
+    if (!engine.host.test(host) || !engine.path.test(u.pathname)) continue;
+    const query = (u.searchParams.get(engine.param) || '').replace(/\s+/g, ' ').trim();
+    if (!query) return null;
+    return {
+      engine: engine.id,
+      query: query.slice(0, MAX_QUERY_LENGTH),
+      vertical: engine.vertical ? engine.vertical(u) : 'web',
+    };
+  }
+  return null;
+}
+
+// Record a search.performed event if this page is a new search
+export function trackSearch(url, title) {
+  const search = parseSearch(url);
+  if (!search) return null;
+
+  const key = `${search.engine}|${search.vertical}|${search.query.toLowerCase()}`;
+  const now = Date.now();
+  const previous = lastSeen.get(key);
+  lastSeen.set(key, now);
+  if (previous && now - previous < REPEAT_MS) return null;
+  for (const [k, t] of lastSeen) {
+    if (now - t >= REPEAT_MS) lastSeen.delete(k);
+  }
+
+  recordEvent({ type: 'search.performed', data: { url, title, ...search } });
+  return search;
+}
+
+// ============================================================
+// GROUPING — for rollups
+// ============================================================
+
+// A day's events → refinement chains, oldest first:
+// [{ t, queries: [query, …refinements], engines: [name], verticals: [v] }]
+export function groupSearches(events) {
+  const groups = [];
+  for (const e of events) {
+    if (e.type !== 'search.performed' || !e.data?.query) continue;
+    const { query, vertical } = e.data;
+    const engine = engineName(e.data.engine) || getDomain(e.url);
+    const terms = queryTerms(query);
+
+    // Attach to the latest recent chain this query refines
+    const group = groups.findLast(g => e.t - g.last <= REFINE_MS && isRefinement(g.terms, terms));
+    if (group) {
+      if (!group.queries.some(q => q.toLowerCase() === query.toLowerCase())) group.queries.push(query);
+      addOnce(group.engines, engine);
+      addOnce(group.verticals, vertical);
+      group.terms = terms;
+      group.last = e.t;
+    } else {
+      groups.push({
+        t: e.t, last: e.t, terms,
+        queries: [query], engines: [engine], verticals: [vertical],
+      });
+    }
+  }
+  return groups.map(({ t, queries, engines, verticals }) => ({ t, queries, engines, verticals }));
+}
+
+function engineName(id) {
+  return ENGINES.find(e => e.id === id)?.name || null;
+}
+
+// Refinement: the queries share at least half of the shorter one's terms
+function isRefinement(a, b) {
+  if (a.size === 0 || b.size === 0) return false;
+  let shared = 0;
+  for (const term of b) if (a.has(term)) shared++;
+  return shared / Math.min(a.size, b.size) >= 0.5;
+}
+
+function queryTerms(query) {
+  return new Set(tokenize(query).filter(t => !isStopword(t)));
+}
+
+function addOnce(list, value) {
+  if (value && !list.includes(value)) list.push(value);
+}
+
+function pathVertical(pathname) {
+  const match = pathname.match(/^\/(images|videos|news|shop)/);
+  if (!match) return 'web';
+  return match[1] === 'shop' ? 'shopping' : match[1];
+}
@@ -0,0 +1,291 @@
+// StarkChrome v2 — Local Full-Text Search
+// Inverted index over stored page content, kept in IndexedDB and updated
+// incrementally as pages are stored. BM25 ranking with phrase, site and
+// date filters. Nothing leaves the machine.
+//
+// The index holds page text in the clear, so it is not kept while
+// encryption is on (see vault.js) and is rebuilt when it is turned off.
+//
+// Query syntax:  vector database "service worker" site:github.com after:2026-02-01 before:2026-02-12
+
+import { tokenize, isStopword } from './text.js';
+import { withStores, promisify, dbGetAll, dbClear } from './db.js';
+import { getPageContent } from './store.js';
+import { getDomain } from './privacy.js';
+import { isEncryptionEnabled } from './vault.js';
+
+const STATS_KEY = 'searchStats';       // { docCount, totalLength } in the meta store
+const TITLE_GAP = 50;                  // position gap so phrases never span title → body
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_BOOST = 0.5;
+const DEFAULT_LIMIT = 20;
+
+function docId(date, url) {
+  return `${date}|${url}`;
+}
+
+// term → [positions] for a title + body. Positions count stopwords so that
+// phrase offsets line up with the query.
+function termPositions(title, content) {
+  const titleTokens = tokenize(title);
+  const bodyTokens = tokenize(content);
+  const positions = new Map();
+  const add = (token, pos) => {
+    if (isStopword(token)) return;
+    if (!positions.has(token)) positions.set(token, []);
+    positions.get(token).push(pos);
+  };
+  titleTokens.forEach((t, i) => add(t, i));
+  bodyTokens.forEach((t, i) => add(t, titleTokens.length + TITLE_GAP + i));
+  return { positions, length: titleTokens.length + bodyTokens.length };
+}
+
+// ============================================================
+// INDEXING
+// ============================================================
+
+// Add or replace one stored page in the index
+export async function indexPage(entry, date) {
+  if (!entry?.url || isEncryptionEnabled()) return;
+  const id = docId(date, entry.url);
+  const { positions, length } = termPositions(entry.title, entry.content);
+
+  await withStores(['searchDocs', 'searchTerms', 'meta'], 'readwrite', async (s) => {
+    const [old, stats] = await Promise.all([
+      promisify(s.searchDocs.get(id)),
+      promisify(s.meta.get(STATS_KEY)),
+    ]);
+    const nextStats = stats || { docCount: 0, totalLength: 0 };
+    if (old) {
+      nextStats.docCount--;
+      nextStats.totalLength -= old.length;
+    }
+
+    const terms = [...new Set([...positions.keys(), ...(old?.terms || [])])];
+    const records = await Promise.all(terms.map(t => promisify(s.searchTerms.get(t))));
+    terms.forEach((term, i) => {
+      const record = records[i] || { term, postings: {} };
+      delete record.postings[id];
+      if (positions.has(term)) record.postings[id] = positions.get(term);
+      if (Object.keys(record.postings).length > 0) {
+        s.searchTerms.put(record);
+      } else {
+        s.searchTerms.delete(term);
+      }
+    });
+
+    s.searchDocs.put({
+      id,
+      url: entry.url,
+      title: entry.title || '',
+      domain: getDomain(entry.url).replace(/^www\./, ''),
+      date,
+      timeSpent: entry.timeSpent || 0,
+      length,
+      terms: [...positions.keys()],
+    });
+    nextStats.docCount++;
+    nextStats.totalLength += length;
+    s.meta.put(nextStats, STATS_KEY);
+  });
+}
+
+// Remove one page from the index (content was evicted or deleted)
+export async function removeFromIndex(date, url) {
+  const id = docId(date, url);
+  await withStores(['searchDocs', 'searchTerms', 'meta'], 'readwrite', async (s) => {
+    const [old, stats] = await Promise.all([
+      promisify(s.searchDocs.get(id)),
+      promisify(s.meta.get(STATS_KEY)),
+    ]);
+    if (!old) return;
+    const records = await Promise.all(old.terms.map(t => promisify(s.searchTerms.get(t))));
+    records.forEach((record, i) => {
+      if (!record) return;
+      delete record.postings[id];
+      if (Object.keys(record.postings).length > 0) {
+        s.searchTerms.put(record);
+      } else {
+        s.searchTerms.delete(old.terms[i]);
+      }
+    });
+    s.searchDocs.delete(id);
+    const nextStats = stats || { docCount: 1, totalLength: old.length };
+    nextStats.docCount = Math.max(0, nextStats.docCount - 1);
+    nextStats.totalLength = Math.max(0, nextStats.totalLength - old.length);
+    s.meta.put(nextStats, STATS_KEY);
+  });
+}
+
+// Remove every page of one day from the index
+export async function removeDayFromIndex(date) {
+  const docs = await dbGetAll('searchDocs', 'date', IDBKeyRange.only(date));
+  for (const doc of docs) await removeFromIndex(doc.date, doc.url);
+  return docs.length;
+}
+
+// Drop the whole index
+export async function clearSearchIndex() {
+  await Promise.all([dbClear('searchDocs'), dbClear('searchTerms')]);
+  await withStores('meta', 'readwrite', s => promisify(s.meta.delete(STATS_KEY)));
+}
+
+// Wipe and rebuild the index from every stored content_* day
+export async function rebuildSearchIndex() {
+  await clearSearchIndex();
+  if (isEncryptionEnabled()) return 0;
+
+  const all = await chrome.storage.local.get(null);
+  let count = 0;
+  for (const [key, pages] of Object.entries(all)) {
+    if (!key.startsWith('content_') || !Array.isArray(pages)) continue;
+    const date = key.slice('content_'.length);
+    for (const page of pages) {
+      await indexPage(page, date);
+      count++;
+    }
+  }
+  console.log(`[StarkChrome] Search index built: ${count} pages`);
+  return count;
+}
+
+// ============================================================
+// QUERYING
+// ============================================================
+
+// Split a query string into free terms, "quoted phrases" and operators
+export function parseQuery(query) {
+  const parsed = { terms: [], phrases: [], site: '', after: '', before: '' };
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(query || '')) !== null) {
+    if (m[1]) {
+      const tokens = tokenize(m[1]);
+      if (tokens.length > 1) parsed.phrases.push(tokens);
+      else parsed.terms.push(...tokens);
+      continue;
+    }
+    const word = m[2];
+    const op = word.match(/^(site|after|before):(.+)$/i);
+    if (op) {
+      parsed[op[1].toLowerCase()] = op[2].toLowerCase();
+    } else {
+      parsed.terms.push(...tokenize(word));
+    }
+  }
+  parsed.terms = parsed.terms.filter(t => !isStopword(t));
+  return parsed;
+}
+
+// Search stored page content.
+// opts: { domain, from, to, limit } — from/to are 'YYYY-MM-DD', inclusive.
+// Operators in the query string (site:, after:, before:) take the same role.
+export async function searchContent(query, opts = {}) {
+  if (isEncryptionEnabled()) return { results: [], total: 0, reason: 'encrypted' };
+  const q = parseQuery(query);
+  const site = (opts.domain || q.site || '').replace(/^www\./, '');
+  const after = opts.from || q.after;
+  const before = opts.to || q.before;
+  const limit = opts.limit || DEFAULT_LIMIT;
+
+  const phraseTerms = q.phrases.flat().filter(t => !isStopword(t));
+  const allTerms = [...new Set([...q.terms, ...phraseTerms])];
+  if (allTerms.length === 0) return { results: [], total: 0 };
+
+  const { records, stats } = await withStores(['searchTerms', 'meta'], 'readonly', async (s) => ({
+    records: await Promise.all(allTerms.map(t => promisify(s.searchTerms.get(t)))),
+    stats: await promisify(s.meta.get(STATS_KEY)),
+  }));
+  const postings = new Map(allTerms.map((t, i) => [t, records[i]?.postings || {}]));
+
+  // Candidates: any doc containing a term, narrowed to docs matching every phrase
+  let candidates = new Set();
+  for (const p of postings.values()) Object.keys(p).forEach(id => candidates.add(id));
+  for (const phrase of q.phrases) {
+    candidates = new Set([...candidates].filter(id => matchesPhrase(phrase, id, postings)));
+  }
+  if (candidates.size === 0) return { results: [], total: 0 };
+
+  const ids = [...candidates];
+  const docs = await withStores('searchDocs', 'readonly', s =>
+    Promise.all(ids.map(id => promisify(s.searchDocs.get(id)))));
+
+  const docCount = Math.max(stats?.docCount || 0, 1);
+  const avgLength = stats?.docCount ? stats.totalLength / stats.docCount : 1;
+
+  const scored = [];
+  for (const doc of docs) {
+    if (!doc) continue;
+    if (site && !(doc.domain === site || doc.domain.endsWith('.' + site))) continue;
+    if (after && doc.date < after) continue;
+    if (before && doc.date > before) continue;
+
+    let score = 0;
+    for (const [term, p] of postings) {
+      const tf = p[doc.id]?.length || 0;
+      if (tf === 0) continue;
+      const df = Object.keys(p).length;
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+    }
+    const titleTokens = new Set(tokenize(doc.title));
+    const titleHits = allTerms.filter(t => titleTokens.has(t)).length;
+    score *= 1 + TITLE_BOOST * (titleHits / allTerms.length);
+    scored.push({ doc, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  const results = [];
+  for (const { doc, score } of scored) {
+    if (results.length >= limit) break;
+    const page = (await getPageContent(doc.date)).find(p => p.url === doc.url);
+    if (!page) {
+      // Content is gone (evicted or pruned) — drop the stale doc
+      await removeFromIndex(doc.date, doc.url);
+      continue;
+    }
+    results.push({
+      url: doc.url,
+      title: doc.title,
+      domain: doc.domain,
+      date: doc.date,
+      timeSpent: doc.timeSpent,
+      score: Math.round(score * 100) / 100,
+      snippet: buildSnippet(page.content || '', allTerms, q.phrases),
+    });
+  }
+
+  return { results, total: scored.length };
+}
+
+// Does the doc contain the phrase's (non-stopword) tokens at the right offsets?
+function matchesPhrase(phrase, id, postings) {
+  const anchors = phrase
+    .map((token, offset) => ({ token, offset }))
+    .filter(a => !isStopword(a.token));
+  if (anchors.length === 0) return true;
+  const lists = anchors.map(a => postings.get(a.token)?.[id]);
+  if (lists.some(l => !l)) return false;
+  const sets = lists.map(l => new Set(l));
+  return lists[0].some(start => anchors.every((a, i) =>
+    sets[i].has(start + a.offset - anchors[0].offset)));
+}
+
+// ~240 chars around the first hit, preferring a phrase match
+function buildSnippet(text, terms, phrases) {
+  const lower = text.toLowerCase();
+  let hit = -1;
+  for (const phrase of phrases) {
+    hit = lower.indexOf(phrase.join(' '));
+    if (hit >= 0) break;
+  }
+  for (let i = 0; hit < 0 && i < terms.length; i++) {
+    hit = lower.search(new RegExp(`\\b${terms[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+  }
+  if (hit < 0) hit = 0;
+  const start = Math.max(0, hit - 80);
+  const end = Math.min(text.length, hit + 160);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
@@ -3,14 +3,27 @@
 // No extra servers. No extra ports. Just the extension and one webhook URL.
 
 import { loadPrivacySettings, getPrivacySettings } from './privacy.js';
-import { loadConfig, getConfig, isConfigured, postToAgent } from './api.js';
+import { loadConfig, getConfig, isConfigured, postToAgent, applyConfigChange } from './api.js';
 import { loadLoggerConfig, getLoggerConfig, isLoggerConfigured, getLoggerStats } from './logger.js';
-import { initStore, flushStore, getStoreStats } from './store.js';
-import { restorePageTimes, persistPageTimes } from './tracker.js';
+import { initStore, flushStore, getStoreStats, clearStore, dayKey, parseDayKey } from './store.js';
+import { finalizePastDays, getRollup } from './rollups.js';
+import { exportArchive, importArchive } from './archive.js';
+import { buildExport } from './exporter.js';
+import { restorePageTimes, persistPageTimes, trackMediaState, trackEngagement } from './tracker.js';
+import { searchContent } from './search.js';
+import { createClipMenus, handleClipMenu, sendPage } from './clips.js';
+import { getSessions } from './sessions.js';
+import { runMigrations, getSchemaStatus } from './migrations.js';
+import { loadVault, isLocked } from './vault.js';
+import { getEncryptionStatus, enableEncryption, disableEncryption, unlockStore, lockStore } from './encryption.js';
+import { enforceRetention, scheduleRetention, handleRetentionAlarm, getStorageBreakdown } from './retention.js';
+import { loadTabRegistry, scheduleTabSnapshots, handleTabSnapshotAlarm } from './tab-lifecycle.js';
 import { registerTabEvents } from './events/tabs.js';
 import { registerBookmarkEvents } from './events/bookmarks.js';
 import { registerDownloadEvents } from './events/downloads.js';
 import { registerIdleEvents } from './events/idle.js';
+import { registerWindowEvents } from './events/windows.js';
+import { registerNavigationEvents } from './events/navigation.js';
 import { scheduleDigest, handleDigestAlarm, buildAndSendDigest } from './digest.js';
 import { hasImported, runImport, resetImport, getImportStatus } from './history-import.js';
 import { startKeepAlive, handleKeepAlive } from './keepalive.js';
@@ -22,20 +35,37 @@ console.log('[StarkChrome] v2 service worker starting...');
 // ============================================================
 
 async function initialize() {
+  // Vault first (migrations may write events, which must be sealed if
+  // encryption is on), then schema — nothing else may read storage before
+  // it's migrated
+  await loadVault();
+  await runMigrations();
+
   await Promise.all([
     loadPrivacySettings(),
     loadConfig(),
     loadLoggerConfig(),
     initStore(),
     restorePageTimes(),
+    loadTabRegistry(),
   ]);
 
+  // Roll up any days that ended while the service worker was asleep
+  await finalizePastDays();
+
+  // Per-type retention + storage quota, then hourly
+  await enforceRetention();
+  scheduleRetention();
+
   const privacy = getPrivacySettings();
   if (privacy.enabled) {
     registerTabEvents();
+    scheduleTabSnapshots();
     registerBookmarkEvents();
     registerDownloadEvents();
     registerIdleEvents();
+    registerWindowEvents();
+    registerNavigationEvents();
   }
 
   if (isConfigured()) {
@@ -61,9 +91,16 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   // Daily digest
   if (await handleDigestAlarm(alarm)) return;
 
-  // Periodic store flush (every 5 min)
+  // Retention + quota (hourly)
+  if (await handleRetentionAlarm(alarm)) return;
+
+  // Open tab snapshot (every 15 min)
+  if (await handleTabSnapshotAlarm(alarm)) return;
+
+  // Periodic store flush + day rollups (every 5 min)
   if (alarm.name === 'starkchrome-persist') {
     await flushStore();
+    await finalizePastDays();
   }
 });
 
@@ -78,19 +115,28 @@ chrome.alarms.create('starkchrome-persist', {
 // ============================================================
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message).then(sendResponse);
+  handleMessage(message, sender).then(sendResponse);
   return true;
 });
 
-async function handleMessage(msg) {
+// Actions that read stored browsing data — refused while the store is locked
+const NEEDS_UNLOCK = new Set(['getRollup', 'getSessions', 'searchContent', 'exportEvents', 'exportData', 'importArchive']);
+
+async function handleMessage(msg, sender) {
+  if (NEEDS_UNLOCK.has(msg.action) && isLocked()) {
+    return { success: false, reason: 'locked' };
+  }
+
   switch (msg.action) {
     case 'getStatus': {
       const config = getConfig();
       const privacy = getPrivacySettings();
-      const store = getStoreStats();
+      const store = await getStoreStats();
       const { webhookStats } = await chrome.storage.local.get('webhookStats');
       const stats = webhookStats || { sent: 0, failed: 0, lastSend: null };
       const loggerStats = await getLoggerStats();
+      const schema = await getSchemaStatus();
+      const storage = await getStorageBreakdown();
       return {
         enabled: privacy.enabled,
         configured: isConfigured(),
@@ -99,11 +145,20 @@ async function handleMessage(msg) {
         store,
         stats,
         loggerStats,
+        schema,
+        storage,
+        encryption: getEncryptionStatus(),
       };
     }
 
     case 'sendDigestNow':
-      return await buildAndSendDigest();
+      return await buildAndSendDigest(msg.date ? parseDayKey(msg.date) : undefined);
+
+    case 'getRollup':
+      return await getRollup(msg.date || dayKey());
+
+    case 'getSessions':
+      return { success: true, date: msg.date || dayKey(), sessions: await getSessions(msg.date || dayKey()) };
 
     case 'runImport': {
       const already = await hasImported();
@@ -118,6 +173,49 @@ async function handleMessage(msg) {
     case 'getImportStatus':
       return await getImportStatus();
 
+    case 'searchContent':
+      return await searchContent(msg.query, {
+        domain: msg.domain,
+        from: msg.from,
+        to: msg.to,
+        limit: msg.limit,
+      });
+
+    case 'exportEvents':
+      return await exportArchive();
+
+    case 'exportData':
+      return await buildExport({ from: msg.from, to: msg.to, types: msg.types, format: msg.format });
+
+    case 'importArchive':
+      return await importArchive(msg.archive);
+
+    case 'enableEncryption':
+      return await enableEncryption(msg.passphrase);
+
+    case 'disableEncryption':
+      return await disableEncryption(msg.passphrase);
+
+    case 'unlockStore':
+      return await unlockStore(msg.passphrase);
+
+    case 'lockStore':
+      return await lockStore();
+
+    // From content/media.js: a <video>/<audio> on the sender's page started or stopped
+    case 'mediaState':
+      if (sender?.tab) trackMediaState(sender.tab, { playing: Boolean(msg.playing) });
+      return { success: true };
+
+    // From content/extractor.js when a page is hidden: scroll depth + active dwell
+    case 'engagement':
+      if (sender?.tab) await trackEngagement(sender.tab, msg.engagement);
+      return { success: true };
+
+    case 'clearStore':
+      await clearStore();
+      return { success: true };
+
     case 'testConnection': {
       // Reload config from storage first (user may have just saved new values)
       await loadConfig();
@@ -156,10 +254,17 @@ async function updateBadge() {
 chrome.storage.onChanged.addListener(async (changes, area) => {
   if (area !== 'local') return;
 
+  if (changes.config) applyConfigChange(changes.config.newValue);
+
   if (changes.config || changes.privacy) {
     updateBadge();
   }
 
+  // Shorter retention takes effect right away
+  if (changes.retention) {
+    enforceRetention();
+  }
+
   // When user first configures + enables, auto-import history
   if (changes.config) {
     const newConfig = changes.config.newValue || {};
@@ -176,50 +281,31 @@ chrome.storage.onChanged.addListener(async (changes, area) => {
 });
 
 // ============================================================
-// "SEND TO STARK" — Keyboard shortcut (Cmd+Shift+S) + Context menu
-// Sends the current page's full content to the agent immediately.
+// "SEND TO STARK" — Keyboard shortcut (Cmd+Shift+S) + Context menus
+// Sends the current page, a selection, a link or an image to the agent
+// immediately (see clips.js).
 // ============================================================
 
 chrome.commands.onCommand.addListener(async (command) => {
   if (command !== 'send-to-stark') return;
-  await sendCurrentPageToAgent();
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  await sendClip(() => sendPage(tab));
 });
 
 chrome.contextMenus?.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId !== 'send-to-stark') return;
-  await sendCurrentPageToAgent();
+  await sendClip(() => handleClipMenu(info, tab));
 });
 
-async function sendCurrentPageToAgent() {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tab) return;
-
+async function sendClip(send) {
   try {
-    const content = await chrome.tabs.sendMessage(tab.id, { type: 'extract_content' });
-    if (!content || !content.text) {
-      flashBadge('!', '#f59e0b');
-      return;
-    }
-
-    const lines = [
-      `[StarkChrome] User sent page content:`,
-      ``,
-      `Title: ${content.meta?.title || tab.title || ''}`,
-      `URL: ${content.meta?.url || tab.url || ''}`,
-    ];
-    if (content.meta?.author) lines.push(`Author: ${content.meta.author}`);
-    if (content.meta?.publishDate) lines.push(`Published: ${content.meta.publishDate}`);
-    lines.push(`Word count: ${content.wordCount || 0}`);
-    lines.push(``);
-    lines.push(`Content:`);
-    lines.push(content.text);
-
-    const result = await postToAgent(lines.join('\n'));
-
+    const result = await send();
+    if (!result) return;
     if (result.success) {
       flashBadge('OK', '#10b981');
     } else {
-      flashBadge('!', '#ef4444');
+      // Nothing to send (no content, no selection) vs. the agent didn't take it
+      flashBadge('!', result.reason?.startsWith('no_') ? '#f59e0b' : '#ef4444');
     }
   } catch (e) {
     console.error('[StarkChrome] Send to Stark failed:', e);
@@ -243,12 +329,8 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.runtime.openOptionsPage();
   }
 
-  // Create context menu on install/update
-  chrome.contextMenus.create({
-    id: 'send-to-stark',
-    title: 'Send to Stark',
-    contexts: ['page'],
-  });
+  // Create context menus on install/update
+  createClipMenus();
 });
 
 // ============================================================
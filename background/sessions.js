@@ -0,0 +1,205 @@
+// StarkChrome v2 — Browsing Sessions
+// Splits a day's event stream into sessions and labels each one, e.g.
+// "9:10–10:40 deep dev session on github.com, stackoverflow.com (hooks, react)".
+//
+// A session ends at a break — the user idle or locked (events/idle.js) for
+// BREAK_MS or more, or no events at all for SILENT_BREAK_MS (long enough that
+// it isn't one long read) — or at a category shift: a run of pages outside
+// the session's main category that lasts long enough to be a new activity
+// rather than a quick lookup.
+
+import { getEventsForDay, getPageContent, parseDayKey } from './store.js';
+import { categorize, categoryShort } from './categories.js';
+import { tokenize, isStopword } from './text.js';
+import { getRollup } from './rollups.js';
+
+const BREAK_MS = 15 * 60 * 1000;        // idle/locked this long → new session
+const SILENT_BREAK_MS = 45 * 60 * 1000; // no events at all this long → new session
+const MAX_DWELL_MS = 10 * 60 * 1000;    // time credited to one page before the next event
+const SHIFT_MIN_EVENTS = 4;             // a category shift needs this many pages...
+const SHIFT_MIN_MS = 10 * 60 * 1000;    // ...spanning this long
+const MIN_SESSION_EVENTS = 2;
+const DEEP_MIN_MS = 45 * 60 * 1000;     // "deep": long and focused on one category
+const DEEP_MIN_SHARE = 0.7;
+const BRIEF_MAX_MS = 10 * 60 * 1000;
+
+// Quick checks that interrupt any kind of work — never a shift on their own
+const NEUTRAL_CATEGORIES = new Set(['other', 'email', 'communication']);
+const ACTIVITY_TYPES = new Set(['navigation', 'tab.activated']);
+
+// Sessions for a day: from its rollup when it has them, otherwise built
+// from the event log and that day's page content
+export async function getSessions(day) {
+  const rollup = await getRollup(day);
+  if (Array.isArray(rollup.sessions)) return rollup.sessions;
+  const events = await getEventsForDay(parseDayKey(day));
+  return buildSessions(events, await getPageContent(day));
+}
+
+// Events (oldest first) → [{ start, end, durationMs, events, categories,
+// domains, keywords, label, summary }]
+export function buildSessions(events, pages = []) {
+  const groups = splitSessions(events);
+  const contentByUrl = new Map(pages.map(p => [p.url, p]));
+  return groups
+    .filter(g => g.events.length >= MIN_SESSION_EVENTS)
+    .map(g => describeSession(g, contentByUrl));
+}
+
+// "9:10–10:40 deep dev session on github.com, stackoverflow.com (hooks, react)"
+export function formatSession(session) {
+  const domains = session.domains.slice(0, 2).map(d => d.domain).join(', ');
+  const keywords = session.keywords.length > 0 ? ` (${session.keywords.join(', ')})` : '';
+  return `${formatClock(session.start)}–${formatClock(session.end)} ${session.label}${domains ? ` on ${domains}` : ''}${keywords}`;
+}
+
+// ============================================================
+// SPLITTING
+// ============================================================
+
+function splitSessions(events) {
+  const sessions = [];
+  let current = null;
+  let idleSince = null;     // idle/locked started (null = active)
+  let shift = null;         // { index, count } — pending run outside the main category
+
+  const close = (end) => {
+    if (current) {
+      current.end = Math.max(current.end, end);
+      sessions.push(current);
+    }
+    current = null;
+    shift = null;
+  };
+
+  for (const e of events) {
+    if (e.type === 'idle') {
+      if (e.data?.state === 'idle' || e.data?.state === 'locked') {
+        if (idleSince === null) idleSince = e.t;
+      } else if (idleSince !== null) {
+        if (e.t - idleSince >= BREAK_MS) close(idleSince);
+        idleSince = null;
+      }
+      continue;
+    }
+    if (!ACTIVITY_TYPES.has(e.type) || !e.domain) continue;
+
+    const cat = e.cat || categorize(e.domain);
+    if (current && e.t - current.end >= SILENT_BREAK_MS) close(current.end);
+    if (!current) {
+      current = { start: e.t, end: e.t, events: [] };
+    }
+
+    // Category shift: enough pages, over enough time, away from the main
+    // category (of the pages before the pending run)
+    const main = mainCategory(current.events.slice(0, shift?.index));
+    if (main && !NEUTRAL_CATEGORIES.has(cat) && cat !== main) {
+      if (!shift) shift = { index: current.events.length, count: 0 };
+      shift.count++;
+    } else if (!NEUTRAL_CATEGORIES.has(cat)) {
+      shift = null;
+    }
+
+    current.events.push({ ...e, cat });
+    current.end = e.t;
+
+    if (shift && shift.count >= SHIFT_MIN_EVENTS && e.t - current.events[shift.index].t >= SHIFT_MIN_MS) {
+      const moved = current.events.splice(shift.index);
+      current.end = moved[0].t;
+      sessions.push(current);
+      current = { start: moved[0].t, end: e.t, events: moved };
+      shift = null;
+    }
+  }
+  close(idleSince ?? current?.end ?? 0);
+  return sessions;
+}
+
+// Category with the most events so far, ignoring neutral ones
+function mainCategory(events) {
+  const counts = {};
+  for (const e of events) {
+    if (!NEUTRAL_CATEGORIES.has(e.cat)) counts[e.cat] = (counts[e.cat] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// ============================================================
+// LABELING
+// ============================================================
+
+function describeSession({ start, end, events }, contentByUrl) {
+  // Time per page: until the next event, capped (the last page gets nothing)
+  const catMs = {};
+  const domainMs = {};
+  let totalMs = 0;
+  events.forEach((e, i) => {
+    const next = events[i + 1]?.t ?? end;
+    const ms = Math.min(next - e.t, MAX_DWELL_MS);
+    catMs[e.cat] = (catMs[e.cat] || 0) + ms;
+    domainMs[e.domain] = (domainMs[e.domain] || 0) + ms;
+    totalMs += ms;
+  });
+
+  const categories = rank(catMs, totalMs);
+  const domains = rank(domainMs, totalMs).map(({ key, ms, share }) => ({ domain: key, ms, share }));
+  const keywords = extractKeywords(events, contentByUrl);
+
+  const durationMs = end - start;
+  const top = categories.filter(c => c.share >= 0.25).slice(0, 2);
+  const kind = top.length > 0 ? top.map(c => categoryShort(c.key)).join(' + ') : 'browsing';
+  let label = `${kind} session`;
+  if (durationMs >= DEEP_MIN_MS && (categories[0]?.share || 0) >= DEEP_MIN_SHARE) label = `deep ${label}`;
+  else if (durationMs < BRIEF_MAX_MS) label = `brief ${label}`;
+
+  const session = {
+    start,
+    end,
+    durationMs,
+    events: events.length,
+    categories: categories.map(({ key, ms, share }) => ({ cat: key, ms, share })),
+    domains: domains.slice(0, 5),
+    keywords,
+    label,
+  };
+  session.summary = formatSession(session);
+  return session;
+}
+
+// Frequent meaningful words from page titles (weighted) and stored page text
+function extractKeywords(events, contentByUrl, limit = 3) {
+  const counts = new Map();
+  const domainWords = new Set(events.flatMap(e => e.domain.split('.')));
+  const add = (text, weight) => {
+    for (const token of new Set(tokenize(text))) {
+      if (isStopword(token) || token.length < 3 || /^\d+$/.test(token) || domainWords.has(token)) continue;
+      counts.set(token, (counts.get(token) || 0) + weight);
+    }
+  };
+
+  const seen = new Set();
+  for (const e of events) {
+    if (seen.has(e.url)) continue;
+    seen.add(e.url);
+    add(e.title, 3);
+    const page = contentByUrl.get(e.url);
+    if (page) add(page.content, 1);
+  }
+  return [...counts.entries()]
+    .filter(([, n]) => n >= 4)   // more than one page title, or a title plus page text
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([token]) => token);
+}
+
+function rank(msByKey, totalMs) {
+  return Object.entries(msByKey)
+    .map(([key, ms]) => ({ key, ms, share: totalMs > 0 ? Math.round((ms / totalMs) * 100) / 100 : 0 }))
+    .sort((a, b) => b.ms - a.ms);
+}
+
+// Local time as "9:10"
+function formatClock(t) {
+  const d = new Date(t);
+  return `${d.getHours()}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
@@ -1,35 +1,32 @@
 // StarkChrome v2 — Local Event Store
-// All event data lives in chrome.storage.local. No external servers.
-// Rolling 90-day retention. Human-readable. Exportable.
+// Event data lives in IndexedDB (indexed by time, domain, type, category).
+// Page content stays in chrome.storage.local. No external servers.
+// With encryption on (vault.js), everything but time and type is sealed.
+// Retention is per data type (see retention.js). Human-readable. Exportable.
 
 import { sanitizeUrl, getDomain } from './privacy.js';
 import { categorize } from './categories.js';
+import { redact } from './redact.js';
+import { withStores, promisify, dbGet, dbPut, dbPutAll, dbGetAll, dbCount, dbFirst, dbDeleteRange, dbClear } from './db.js';
+import { isEncryptionEnabled, isLocked, seal, open, sealStored, openStored, hashValue, isSessionSealed } from './vault.js';
 
-const STORE_KEY = 'eventLog';
-const META_KEY = 'storeMeta';
-const DEFAULT_RETENTION_DAYS = 90;
-let retentionDays = DEFAULT_RETENTION_DAYS;
+const META_KEY = 'storeMeta';          // record key in the IndexedDB meta store
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// In-memory cache for fast access (loaded from storage on init)
-let eventLog = [];
 let storeMeta = { totalEvents: 0, oldestEvent: null, newestEvent: null };
 
-// Initialize store — load from storage
+// Initialize store — load meta
 export async function initStore() {
   try {
-    const result = await chrome.storage.local.get([STORE_KEY, META_KEY, 'storeRetention']);
-    eventLog = result[STORE_KEY] || [];
-    storeMeta = result[META_KEY] || { totalEvents: 0, oldestEvent: null, newestEvent: null };
-    retentionDays = result.storeRetention || DEFAULT_RETENTION_DAYS;
-    console.log(`[StarkChrome] Store loaded: ${eventLog.length} events (${retentionDays}-day retention)`);
+    storeMeta = (await dbGet('meta', META_KEY)) || { totalEvents: 0, oldestEvent: null, newestEvent: null };
+    const count = await dbCount('events');
+    console.log(`[StarkChrome] Store loaded: ${count} events`);
   } catch (e) {
     console.error('[StarkChrome] Store init failed:', e);
-    eventLog = [];
   }
-  return eventLog;
 }
 
-// Record an event to local storage
+// Record an event — one append-only write per event
 export async function recordEvent(event) {
   const entry = {
     t: Date.now(),                              // timestamp
@@ -41,16 +38,19 @@ export async function recordEvent(event) {
     data: compactData(event),                   // compact event-specific data
   };
 
-  eventLog.push(entry);
-
   // Update meta
   storeMeta.totalEvents++;
   storeMeta.newestEvent = entry.t;
   if (!storeMeta.oldestEvent) storeMeta.oldestEvent = entry.t;
 
-  // Persist every 5 events (batched to reduce storage writes)
-  if (eventLog.length % 5 === 0) {
-    await persistStore();
+  try {
+    const record = await toStored(entry);
+    await withStores(['events', 'meta'], 'readwrite', (s) => {
+      s.events.add(record);
+      s.meta.put(storeMeta, META_KEY);
+    });
+  } catch (e) {
+    console.error('[StarkChrome] Failed to record event:', e);
   }
 }
 
@@ -58,7 +58,14 @@ export async function recordEvent(event) {
 function compactData(event) {
   switch (event.type) {
     case 'navigation':
-      return {};
+      // How the page was reached (webNavigation) — absent when unknown
+      if (!event.data?.transition) return {};
+      return {
+        transition: event.data.transition,
+        qualifiers: event.data.qualifiers || [],
+        fromUrl: event.data.fromUrl || '',
+        sourceUrl: event.data.sourceUrl || '',
+      };
     case 'tab.activated':
       return {};
     case 'bookmark.created':
@@ -74,43 +81,124 @@ function compactData(event) {
       return { awayMinutes: event.data?.awayMinutes || 0 };
     case 'idle':
       return { state: event.data?.state || '' };
+    case 'search.performed':
+      return {
+        engine: event.data?.engine || '',
+        query: (event.data?.query || '').substring(0, 200),
+        vertical: event.data?.vertical || 'web',
+      };
+    case 'clip.sent':
+      return {
+        kind: event.data?.kind || 'page',
+        pageKind: event.data?.pageKind || '',
+        text: (event.data?.text || '').substring(0, 500),
+        heading: (event.data?.heading || '').substring(0, 200),
+        linkUrl: sanitizeUrl(event.data?.linkUrl || ''),
+        imageUrl: sanitizeUrl(event.data?.imageUrl || ''),
+        delivered: Boolean(event.data?.delivered),
+      };
+    case 'content.withheld':
+      return {
+        level: event.data?.level || '',
+        reasons: (event.data?.reasons || []).slice(0, 10).map(r => String(r).substring(0, 50)),
+        source: event.data?.source || '',
+      };
+    case 'tab.created':
+      return {
+        tabId: event.data?.tabId,
+        windowId: event.data?.windowId,
+        openerTabId: event.data?.openerTabId ?? null,
+        openTabs: event.data?.openTabs || 0,
+      };
+    case 'tab.closed':
+      return {
+        tabId: event.data?.tabId,
+        windowId: event.data?.windowId,
+        ageMs: event.data?.ageMs ?? null,
+        focused: event.data?.focused ?? null,
+        windowClosing: Boolean(event.data?.windowClosing),
+      };
+    case 'tab.moved':
+      return {
+        tabId: event.data?.tabId,
+        fromWindowId: event.data?.fromWindowId ?? null,
+        toWindowId: event.data?.toWindowId,
+      };
+    case 'tabs.snapshot':
+      return {
+        total: event.data?.total || 0,
+        windows: event.data?.windows || {},
+        neverFocused: event.data?.neverFocused || 0,
+        oldest: (event.data?.oldest || []).map(t => ({
+          url: sanitizeUrl(t.url || ''),
+          title: (t.title || '').substring(0, 200),
+          ageMs: t.ageMs || 0,
+        })),
+      };
     default:
       return {};
   }
 }
 
-// Persist store to chrome.storage.local
-async function persistStore() {
-  try {
-    // Enforce retention before saving
-    enforceRetention();
-    await chrome.storage.local.set({
-      [STORE_KEY]: eventLog,
-      [META_KEY]: storeMeta,
-    });
-  } catch (e) {
-    // If storage quota is hit, trim aggressively
-    if (e.message?.includes('QUOTA')) {
-      eventLog = eventLog.slice(-1000);
-      await chrome.storage.local.set({ [STORE_KEY]: eventLog, [META_KEY]: storeMeta });
-    }
+// Sealed form of an event: time and type stay readable (time-range queries,
+// retention), the rest is encrypted. `url` becomes a keyed hash of the URL,
+// so the [t, type, url] dedup index still tells pages apart.
+async function toStored(entry) {
+  if (!isEncryptionEnabled()) return entry;
+  const { id, t, type, ...rest } = entry;
+  const record = { t, type, url: await hashValue(entry.url || ''), sealed: await seal(rest) };
+  if (id !== undefined) record.id = id;
+  return record;
+}
+
+async function fromStored(record) {
+  if (!record.sealed) return record;
+  return { id: record.id, t: record.t, type: record.type, ...(await open(record.sealed)) };
+}
+
+// Re-write every event in the current mode — seals plain events when
+// encryption is on, opens sealed ones when it is off, and (once unlocked)
+// re-seals events recorded while locked under the data key, so their URL
+// hashes match everything else's. Batched, because crypto can't run inside
+// an IndexedDB transaction.
+export async function rewriteEvents() {
+  let lastId = 0;
+  let count = 0;
+  for (;;) {
+    const batch = await dbGetAll('events', null, IDBKeyRange.lowerBound(lastId, true), 500);
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1].id;
+    const changed = batch.filter(r => Boolean(r.sealed) !== isEncryptionEnabled()
+      || (r.sealed && !isLocked() && (isSessionSealed(r.sealed) || !r.url)));
+    const rewritten = await Promise.all(changed.map(async r => toStored(await fromStored(r))));
+    await dbPutAll('events', rewritten);
+    count += rewritten.length;
   }
+  return count;
 }
 
-// Remove events older than retention period
-function enforceRetention() {
-  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
-  const before = eventLog.length;
-  eventLog = eventLog.filter(e => e.t > cutoff);
-  if (eventLog.length < before) {
-    storeMeta.oldestEvent = eventLog.length > 0 ? eventLog[0].t : null;
-    console.log(`[StarkChrome] Pruned ${before - eventLog.length} old events`);
+// Delete events at or before cutoff — all of them, or only the given types.
+// Called by the retention manager. Returns the count removed.
+export async function pruneEvents(cutoff, types = null) {
+  const only = types ? new Set(types) : null;
+  const removed = await dbDeleteRange('events', 't', IDBKeyRange.upperBound(cutoff),
+    only ? e => only.has(e.type) : undefined);
+  if (removed > 0) {
+    const oldest = await dbFirst('events', 't');
+    storeMeta.oldestEvent = oldest ? oldest.t : null;
+    await dbPut('meta', storeMeta, META_KEY);
   }
+  return removed;
 }
 
-// Force persist (call on important events or before service worker sleeps)
+// Periodic maintenance (persist alarm) — save meta.
+// Events themselves are written as they arrive, so nothing is pending.
 export async function flushStore() {
-  await persistStore();
+  try {
+    await dbPut('meta', storeMeta, META_KEY);
+  } catch (e) {
+    console.error('[StarkChrome] Store flush failed:', e);
+  }
 }
 
 // ============================================================
@@ -118,18 +206,47 @@ export async function flushStore() {
 // ============================================================
 
 // Get events for a specific day (or today if no date given)
-export function getEventsForDay(date) {
+export async function getEventsForDay(date) {
   const d = date || new Date();
   const dayStart = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
-  const dayEnd = dayStart + 24 * 60 * 60 * 1000;
-  return eventLog.filter(e => e.t >= dayStart && e.t < dayEnd);
+  return queryEvents({ from: dayStart, to: dayStart + DAY_MS });
 }
 
 // Get today's events
-export function getTodayEvents() {
+export async function getTodayEvents() {
   return getEventsForDay(new Date());
 }
 
+// Oldest stored event (or null)
+export async function getOldestEvent() {
+  const oldest = await dbFirst('events', 't');
+  return oldest && fromStored(oldest);
+}
+
+// Query events in [from, to), optionally narrowed by type, domain or category.
+// Uses the most selective index available, then filters the rest in memory.
+export async function queryEvents({ from = 0, to = Infinity, type, domain, cat } = {}) {
+  let events;
+  if (domain && !isEncryptionEnabled()) {
+    events = await dbGetAll('events', 'domain', IDBKeyRange.only(domain));
+  } else if (type && from === 0 && to === Infinity) {
+    events = await dbGetAll('events', 'type', IDBKeyRange.only(type));
+  } else {
+    events = await dbGetAll('events', 't', timeRange(from, to));
+  }
+  if (isEncryptionEnabled()) events = await Promise.all(events.map(fromStored));
+  return events
+    .filter(e => !domain || e.domain === domain)
+    .filter(e => e.t >= from && e.t < to)
+    .filter(e => (!type || e.type === type) && (!cat || e.cat === cat))
+    .sort((a, b) => a.t - b.t);
+}
+
+function timeRange(from, to) {
+  if (to === Infinity) return IDBKeyRange.lowerBound(from);
+  return IDBKeyRange.bound(from, to, false, true);
+}
+
 // Get domain visit counts for a day
 export function getDomainStats(events) {
   const stats = {};
@@ -146,13 +263,20 @@ export function getDomainStats(events) {
 }
 
 // Get store statistics
-export function getStoreStats() {
+export async function getStoreStats() {
+  const eventCount = await dbCount('events');
+  let usage = 0;
+  try {
+    usage = (await navigator.storage.estimate()).usage || 0;
+  } catch (e) {
+    // estimate() unavailable — report 0
+  }
   return {
-    eventCount: eventLog.length,
+    eventCount,
     totalEvents: storeMeta.totalEvents,
     oldestEvent: storeMeta.oldestEvent,
     newestEvent: storeMeta.newestEvent,
-    estimatedSizeKB: Math.round(JSON.stringify(eventLog).length / 1024),
+    estimatedSizeKB: Math.round(usage / 1024),
   };
 }
 
@@ -160,56 +284,177 @@ export function getStoreStats() {
 // PAGE CONTENT STORAGE (separate from event log — bigger data)
 // ============================================================
 
-// Add extracted page content, keyed by date
+const MAX_PAGES_PER_DAY = 50;
+
+const LOCKED_PAGES_KEY = 'lockedPages';   // chrome.storage.local: [{ date, sealed }]
+
+// Add extracted page content, keyed by (local) date.
+// While the store is locked the day's pages can't be read to merge into, so
+// the entry is sealed with the session key and queued until unlock.
 export async function addPageContent(entry) {
-  const key = `content_${new Date().toISOString().slice(0, 10)}`; // content_2026-02-12
-  const existing = (await chrome.storage.local.get(key))[key] || [];
-
-  // Deduplicate by URL (keep the version with longest time spent)
-  const idx = existing.findIndex(e => e.url === entry.url);
-  if (idx >= 0) {
-    if (entry.timeSpent > existing[idx].timeSpent) {
-      existing[idx] = entry;
+  const date = dayKey(); // content_2026-02-12
+  entry = redact(entry);
+  if (isLocked()) {
+    const queued = (await chrome.storage.local.get(LOCKED_PAGES_KEY))[LOCKED_PAGES_KEY] || [];
+    queued.push({ date, sealed: await seal(entry) });
+    await chrome.storage.local.set({ [LOCKED_PAGES_KEY]: queued });
+    console.log(`[StarkChrome] Store locked — queued page content: ${entry.title?.substring(0, 50)}`);
+    return null;
+  }
+  const [stored] = await mergePageContent(date, [entry]);
+  console.log(`[StarkChrome] Stored page content: ${entry.title?.substring(0, 50)} (${Math.round(entry.timeSpent / 1000)}s)`);
+
+  // Tell the caller whether this entry is what's now stored (for indexing)
+  return stored ? { date, entry: stored } : null;
+}
+
+// Merge pages queued while locked into their days. Call once unlocked.
+// Returns the number of pages merged.
+export async function mergeLockedPages() {
+  const queued = (await chrome.storage.local.get(LOCKED_PAGES_KEY))[LOCKED_PAGES_KEY] || [];
+  if (queued.length === 0) return 0;
+  const byDate = {};
+  for (const { date, sealed } of queued) {
+    if (!byDate[date]) byDate[date] = [];
+    byDate[date].push(await open(sealed));
+  }
+  for (const [date, entries] of Object.entries(byDate)) await mergePageContent(date, entries);
+  await chrome.storage.local.remove(LOCKED_PAGES_KEY);
+  console.log(`[StarkChrome] Merged ${queued.length} pages captured while locked`);
+  return queued.length;
+}
+
+// Merge pages into one day's content. Deduplicates by URL (keeping the
+// version with longest time spent) and keeps the top 50 by time spent.
+// Returns the incoming entries that ended up stored.
+export async function mergePageContent(date, entries) {
+  const key = `content_${date}`;
+  const existing = await getPageContent(date);
+
+  for (const entry of entries) {
+    const idx = existing.findIndex(e => e.url === entry.url);
+    if (idx >= 0) {
+      if (entry.timeSpent > existing[idx].timeSpent) {
+        existing[idx] = entry;
+      }
+    } else {
+      existing.push(entry);
     }
-  } else {
-    existing.push(entry);
   }
 
-  // Keep top 50 pages per day max, sorted by time spent
   existing.sort((a, b) => b.timeSpent - a.timeSpent);
-  const trimmed = existing.slice(0, 50);
+  const trimmed = existing.slice(0, MAX_PAGES_PER_DAY);
 
-  await chrome.storage.local.set({ [key]: trimmed });
-  console.log(`[StarkChrome] Stored page content: ${entry.title?.substring(0, 50)} (${Math.round(entry.timeSpent / 1000)}s)`);
+  await chrome.storage.local.set({ [key]: await sealStored(trimmed) });
+  return entries.filter(e => trimmed.includes(e));
+}
+
+// Rewrite one stored page in place: update(entry) returns its new version.
+// Returns the updated entry, or null if the page isn't stored (or the store is locked).
+export async function updatePageContent(date, url, update) {
+  if (isLocked()) return null;
+  const pages = await getPageContent(date);
+  const idx = pages.findIndex(p => p.url === url);
+  if (idx < 0) return null;
+  pages[idx] = update(pages[idx]);
+  await chrome.storage.local.set({ [`content_${date}`]: await sealStored(pages) });
+  return pages[idx];
 }
 
 // Get page content for a specific date ("2026-02-12")
 export async function getPageContent(date) {
   const key = `content_${date}`;
-  return (await chrome.storage.local.get(key))[key] || [];
+  return (await openStored((await chrome.storage.local.get(key))[key])) || [];
+}
+
+// Remove pages from a day's content — the given URLs, or the whole day.
+// Returns the URLs removed (null for a whole day — the search index entries
+// are the caller's job either way).
+export async function removePageContent(date, urls = null) {
+  const key = `content_${date}`;
+  if (!urls) {
+    await chrome.storage.local.remove(key);
+    return null;
+  }
+  const existing = await getPageContent(date);
+  const drop = new Set(urls);
+  const kept = existing.filter(p => !drop.has(p.url));
+  if (kept.length === existing.length) return [];
+  if (kept.length > 0) {
+    await chrome.storage.local.set({ [key]: await sealStored(kept) });
+  } else {
+    await chrome.storage.local.remove(key);
+  }
+  return existing.filter(p => !kept.includes(p)).map(p => p.url);
 }
 
 // Get today's page contents (convenience for digest + logger)
 export async function getTodayPageContents() {
-  const todayKey = new Date().toISOString().slice(0, 10);
-  return getPageContent(todayKey);
+  return getPageContent(dayKey());
+}
+
+// Local calendar day as 'YYYY-MM-DD' — the key for content, rollups and digests
+export function dayKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 'YYYY-MM-DD' → local midnight Date
+export function parseDayKey(day) {
+  const [y, m, d] = String(day).split('-').map(Number);
+  return new Date(y, m - 1, d);
 }
 
 // ============================================================
 
 // Export all events as JSON
-export function exportEvents() {
+export async function exportEvents() {
+  const events = await Promise.all((await dbGetAll('events')).map(fromStored));
   return {
     version: '2.0',
     exportedAt: new Date().toISOString(),
-    eventCount: eventLog.length,
-    events: eventLog,
+    eventCount: events.length,
+    events,
   };
 }
 
+// Merge previously exported events into the store. Events already present
+// (same timestamp, type and URL) are skipped. Returns { added, skipped }.
+export async function importEvents(events) {
+  const seen = new Set();
+  // Sealed before the transaction opens (crypto would let it auto-commit)
+  const records = await Promise.all(events.map(e => toStored({ ...e, url: e.url || '' })));
+  const result = await withStores(['events', 'meta'], 'readwrite', async (s) => {
+    const dedup = s.events.index('dedup');
+    const candidates = records.filter((e) => {
+      const key = `${e.t}|${e.type}|${e.url}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const counts = await Promise.all(candidates.map(e =>
+      promisify(dedup.count([e.t, e.type, e.url]))));
+    const fresh = candidates.filter((_, i) => counts[i] === 0);
+
+    // Meta is read inside the transaction so this also works before initStore()
+    const meta = (await promisify(s.meta.get(META_KEY))) || { totalEvents: 0, oldestEvent: null, newestEvent: null };
+    for (const { id, ...entry } of fresh) {
+      s.events.add(entry);
+      meta.totalEvents++;
+      if (!meta.oldestEvent || entry.t < meta.oldestEvent) meta.oldestEvent = entry.t;
+      if (!meta.newestEvent || entry.t > meta.newestEvent) meta.newestEvent = entry.t;
+    }
+    s.meta.put(meta, META_KEY);
+    storeMeta = meta;
+    return { added: fresh.length, skipped: events.length - fresh.length };
+  });
+  console.log(`[StarkChrome] Imported ${result.added} events (${result.skipped} duplicates skipped)`);
+  return result;
+}
+
 // Clear all stored events
 export async function clearStore() {
-  eventLog = [];
   storeMeta = { totalEvents: 0, oldestEvent: null, newestEvent: null };
-  await chrome.storage.local.remove([STORE_KEY, META_KEY]);
+  await dbClear('events');
+  await dbPut('meta', storeMeta, META_KEY);
 }
@@ -0,0 +1,132 @@
+// StarkChrome v2 — Extractive Summarizer
+// On-device TextRank over a page's sentences: sentences that share words with
+// many other sentences rank high. Ranks are weighted toward the start of the
+// page and toward sentences that share words with the title; boilerplate
+// (cookie notices, bylines, "subscribe") never qualifies. No network calls.
+//
+// summarize() → { summary, keySentences }: a 2–4 sentence summary in page
+// order, and the top sentences by rank.
+
+import { tokenize, isStopword } from './text.js';
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 30;
+const CONVERGED = 1e-4;
+const MAX_SENTENCES = 150;       // only rank the first 150 candidates (quadratic)
+const MIN_SENTENCE_CHARS = 40;
+const MAX_SENTENCE_CHARS = 400;
+const MIN_SENTENCE_WORDS = 6;
+const KEY_SENTENCES = 5;
+const MAX_SUMMARY_CHARS = 700;
+
+const BOILERPLATE = /\b(cookies?|privacy policy|terms of (use|service)|all rights reserved|subscribe|newsletter|sign (in|up)|log ?in|javascript (is )?(disabled|required)|advertisement|click here|share this|follow us|read more|min read|posted (on|by)|updated:?)\b|©/i;
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
+// Page text (+ title) → { summary, keySentences }; empty when nothing qualifies
+export function summarize(text, { title = '' } = {}) {
+  const sentences = candidateSentences(text);
+  if (sentences.length === 0) return { summary: '', keySentences: [] };
+
+  const ranks = textRank(sentences);
+  const titleTerms = new Set(terms(title));
+  const scored = sentences.map((s, i) => {
+    const position = 1 + 0.5 * (1 - i / sentences.length);            // earlier → up to 1.5×
+    const overlap = titleTerms.size > 0 ? [...s.terms].filter(t => titleTerms.has(t)).length / titleTerms.size : 0;
+    return { ...s, score: ranks[i] * position * (1 + overlap) };
+  });
+  const byScore = [...scored].sort((a, b) => b.score - a.score);
+
+  // Longer pages get longer summaries: 2 sentences, 3 from 10, 4 from 25
+  const count = sentences.length >= 25 ? 4 : sentences.length >= 10 ? 3 : 2;
+  const picked = [];
+  let length = 0;
+  for (const s of byScore) {
+    if (picked.length >= count) break;
+    if (picked.length > 0 && length + s.text.length > MAX_SUMMARY_CHARS) continue;
+    picked.push(s);
+    length += s.text.length;
+  }
+
+  return {
+    summary: picked.sort((a, b) => a.index - b.index).map(s => s.text).join(' '),
+    keySentences: byScore.slice(0, KEY_SENTENCES).map(s => s.text),
+  };
+}
+
+// ============================================================
+// SENTENCES
+// ============================================================
+
+// Prose sentences only: headings, list fragments, code and boilerplate are skipped
+function candidateSentences(text) {
+  const out = [];
+  for (const block of (text || '').split(/\n{2,}/)) {
+    const paragraph = block.replace(/\s+/g, ' ').trim();
+    if (paragraph.length < MIN_SENTENCE_CHARS) continue;
+    for (const { segment } of segmenter.segment(paragraph)) {
+      const sentence = segment.trim();
+      if (!isProse(sentence)) continue;
+      const sentenceTerms = new Set(terms(sentence));
+      if (sentenceTerms.size < 3) continue;
+      out.push({ index: out.length, text: sentence, terms: sentenceTerms });
+      if (out.length >= MAX_SENTENCES) return out;
+    }
+  }
+  return out;
+}
+
+function isProse(sentence) {
+  if (sentence.length < MIN_SENTENCE_CHARS || sentence.length > MAX_SENTENCE_CHARS) return false;
+  if (!/[.!?]["'”’)]?$/.test(sentence)) return false;           // ends like a sentence
+  if (sentence.split(/\s+/).length < MIN_SENTENCE_WORDS) return false;
+  if (/[{};=<>]{2,}|^\W/.test(sentence)) return false;            // code, markup, bullets
+  return !BOILERPLATE.test(sentence);
+}
+
+function terms(text) {
+  return tokenize(text).filter(t => !isStopword(t) && !/^\d+$/.test(t));
+}
+
+// ============================================================
+// TEXTRANK
+// ============================================================
+
+// Similarity (Mihalcea & Tarau): shared terms, normalized by sentence lengths
+function similarity(a, b) {
+  let shared = 0;
+  for (const t of a.terms) if (b.terms.has(t)) shared++;
+  if (shared === 0) return 0;
+  return shared / (Math.log(a.terms.size + 1) + Math.log(b.terms.size + 1));
+}
+
+function textRank(sentences) {
+  const n = sentences.length;
+  const weights = Array.from({ length: n }, () => new Float64Array(n));
+  const outSum = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const w = similarity(sentences[i], sentences[j]);
+      weights[i][j] = weights[j][i] = w;
+      outSum[i] += w;
+      outSum[j] += w;
+    }
+  }
+
+  let ranks = new Float64Array(n).fill(1 / n);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = new Float64Array(n);
+    let delta = 0;
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (let j = 0; j < n; j++) {
+        if (weights[j][i] > 0) sum += (weights[j][i] / outSum[j]) * ranks[j];
+      }
+      next[i] = (1 - DAMPING) / n + DAMPING * sum;
+      delta += Math.abs(next[i] - ranks[i]);
+    }
+    ranks = next;
+    if (delta < CONVERGED) break;
+  }
+  return ranks;
+}
@@ -0,0 +1,206 @@
+// StarkChrome v2 — Tab Lifecycle + Tab Hoarding Stats
+// Keeps a registry of open tabs (when each was opened, whether it was ever
+// focused) so tab.closed events can say how old a tab was and whether it
+// was ever looked at. Every 15 minutes a tabs.snapshot event records how
+// many tabs are open per window; rollups turn these events into peak open
+// tabs, tabs never focused and the longest-lived tabs.
+//
+// The registry is kept in chrome.storage.session: tab ids only mean
+// something within one browser session. Tabs already open when the browser
+// (or the extension) starts are aged from then.
+
+import { recordEvent } from './store.js';
+import { shouldTrack } from './privacy.js';
+
+const REGISTRY_KEY = '_tabs';   // chrome.storage.session
+const SNAPSHOT_ALARM = 'starkchrome-tab-snapshot';
+const SNAPSHOT_MINUTES = 15;
+const SNAPSHOT_OLDEST = 3;      // longest-lived open tabs kept in each snapshot
+
+// { [tabId]: { windowId, url, title, openedAt, focused } }
+let registry = {};
+
+// ============================================================
+// REGISTRY
+// ============================================================
+
+// Restore the registry and reconcile it with the tabs open right now
+export async function loadTabRegistry() {
+  try {
+    registry = (await chrome.storage.session.get(REGISTRY_KEY))[REGISTRY_KEY] || {};
+    await reconcile();
+  } catch (e) {
+    console.error('[StarkChrome] Tab registry restore failed:', e);
+  }
+}
+
+export async function persistTabRegistry() {
+  await chrome.storage.session.set({ [REGISTRY_KEY]: registry });
+}
+
+// ============================================================
+// LIFECYCLE — called from events/tabs.js
+// ============================================================
+
+export function trackTabCreated(tab) {
+  registry[tab.id] = {
+    windowId: tab.windowId,
+    url: tab.pendingUrl || tab.url || '',
+    title: tab.title || '',
+    openedAt: Date.now(),
+    focused: tab.active,
+  };
+  recordEvent({
+    type: 'tab.created',
+    data: {
+      ...pageData(registry[tab.id]),
+      tabId: tab.id,
+      windowId: tab.windowId,
+      openerTabId: tab.openerTabId,
+      openTabs: Object.keys(registry).length,
+    },
+  });
+}
+
+export function trackTabUpdated(tab) {
+  const entry = registry[tab.id];
+  if (!entry) return;
+  if (tab.url) entry.url = tab.url;
+  if (tab.title) entry.title = tab.title;
+}
+
+export function trackTabFocused(tabId) {
+  if (registry[tabId]) registry[tabId].focused = true;
+}
+
+export function trackTabRemoved(tabId, { windowId, isWindowClosing }) {
+  const entry = registry[tabId];
+  delete registry[tabId];
+  recordEvent({
+    type: 'tab.closed',
+    data: {
+      ...pageData(entry),
+      tabId,
+      windowId,
+      ageMs: entry ? Date.now() - entry.openedAt : null,
+      focused: entry ? entry.focused : null,
+      windowClosing: isWindowClosing,
+    },
+  });
+}
+
+// Prerendered / instant pages swap the tab id — same tab for the user
+export function trackTabReplaced(addedTabId, removedTabId) {
+  if (!registry[removedTabId]) return;
+  registry[addedTabId] = registry[removedTabId];
+  delete registry[removedTabId];
+}
+
+export function trackTabMoved(tabId, fromWindowId, toWindowId) {
+  const entry = registry[tabId];
+  if (entry) entry.windowId = toWindowId;
+  recordEvent({
+    type: 'tab.moved',
+    data: { ...pageData(entry), tabId, fromWindowId, toWindowId },
+  });
+}
+
+// ============================================================
+// SNAPSHOTS
+// ============================================================
+
+export function scheduleTabSnapshots() {
+  chrome.alarms.create(SNAPSHOT_ALARM, { delayInMinutes: 1, periodInMinutes: SNAPSHOT_MINUTES });
+}
+
+export async function handleTabSnapshotAlarm(alarm) {
+  if (alarm.name !== SNAPSHOT_ALARM) return false;
+  await snapshotTabs();
+  return true;
+}
+
+// Record open tab counts per window, never-focused tabs and the oldest tabs
+export async function snapshotTabs() {
+  await reconcile();
+  const now = Date.now();
+  const entries = Object.values(registry);
+  const windows = {};
+  for (const entry of entries) windows[entry.windowId] = (windows[entry.windowId] || 0) + 1;
+
+  const oldest = [...entries]
+    .sort((a, b) => a.openedAt - b.openedAt)
+    .slice(0, SNAPSHOT_OLDEST)
+    .map(entry => ({ ...pageData(entry), ageMs: now - entry.openedAt }));
+
+  await recordEvent({
+    type: 'tabs.snapshot',
+    data: {
+      total: entries.length,
+      windows,
+      neverFocused: entries.filter(e => !e.focused).length,
+      oldest,
+    },
+  });
+  await persistTabRegistry();
+}
+
+// ============================================================
+// STATS — for rollups
+// ============================================================
+
+// A day's events → { peak, opened, closed, neverFocused, longestLived }
+export function getTabStats(events) {
+  const stats = {
+    peak: { count: 0, t: null },
+    opened: 0,
+    closed: 0,
+    neverFocused: { count: 0, pages: [] },
+    longestLived: [],
+  };
+  const lived = [];
+  let lastSnapshot = null;
+
+  for (const e of events) {
+    const open = e.type === 'tabs.snapshot' ? e.data?.total : e.type === 'tab.created' ? e.data?.openTabs : null;
+    if (open > stats.peak.count) stats.peak = { count: open, t: e.t };
+
+    if (e.type === 'tab.created') stats.opened++;
+    if (e.type === 'tabs.snapshot') lastSnapshot = e;
+    if (e.type === 'tab.closed') {
+      stats.closed++;
+      if (e.data?.focused === false) {
+        stats.neverFocused.count++;
+        if (e.url) stats.neverFocused.pages.push({ url: e.url, title: e.title });
+      }
+      if (e.data?.ageMs) lived.push({ url: e.url, title: e.title, ageMs: e.data.ageMs, open: false });
+    }
+  }
+
+  // Tabs still open at the last snapshot count too
+  if (lastSnapshot) {
+    stats.neverFocused.count += lastSnapshot.data?.neverFocused || 0;
+    for (const tab of lastSnapshot.data?.oldest || []) lived.push({ ...tab, open: true });
+  }
+  stats.neverFocused.pages = stats.neverFocused.pages.slice(0, 5);
+  stats.longestLived = lived.sort((a, b) => b.ageMs - a.ageMs).slice(0, 3);
+  return stats;
+}
+
+// Drop tabs that are gone, add ones opened while the worker wasn't listening
+async function reconcile() {
+  const open = await chrome.tabs.query({});
+  const now = Date.now();
+  const next = {};
+  for (const tab of open) {
+    next[tab.id] = registry[tab.id] || {
+      windowId: tab.windowId, url: tab.url || '', title: tab.title || '', openedAt: now, focused: tab.active,
+    };
+  }
+  registry = next;
+}
+
+// url/title only for pages we may record
+function pageData(entry) {
+  if (!entry?.url || !shouldTrack(entry.url)) return { url: '', title: '' };
+  return { url: entry.url, title: entry.title };
+}
@@ -0,0 +1,40 @@
+// StarkChrome v2 — Text Utilities
+// Tokenization shared by the local search index and text analysis, and
+// Markdown trimming for stored page content.
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would',
+  'you', 'your', 'yours',
+]);
+
+// Split text into lowercase word tokens (letters/digits, keeps inner ' . - _ + #)
+export function tokenize(text) {
+  if (!text) return [];
+  const matches = text.toLowerCase().match(/[\p{L}\p{N}]+(?:['._+#-][\p{L}\p{N}]+)*/gu) || [];
+  return matches.map(t => t.replace(/'s$/, ''));
+}
+
+export function isStopword(token) {
+  return token.length < 2 || STOPWORDS.has(token);
+}
+
+// Cut Markdown to at most `max` chars at a block boundary, closing an open code fence
+export function truncateMarkdown(markdown, max) {
+  if (!markdown || markdown.length <= max) return markdown || '';
+  let cut = markdown.slice(0, max - 4);
+  const blockEnd = cut.lastIndexOf('\n\n');
+  const lineEnd = cut.lastIndexOf('\n');
+  if (blockEnd > max / 2) cut = cut.slice(0, blockEnd);
+  else if (lineEnd > max / 2) cut = cut.slice(0, lineEnd);
+  const fences = cut.match(/^(```|~~~)/gm) || [];
+  if (fences.length % 2 === 1) cut += `\n${fences[fences.length - 1]}`;
+  return cut.trimEnd();
+}
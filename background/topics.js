@@ -0,0 +1,198 @@
+// StarkChrome v2 — Daily Topics
+// What a day was about — "vector databases", "service workers" — rather than
+// which domain category it fell in. Keywords and two-/three-word key phrases
+// from the day's page titles and content are scored by TF-IDF against a
+// background corpus built from the user's own history, so words that show
+// up every day ("github", "docs") fade and the day's real subjects stand out.
+//
+// The corpus (`corpus_topics`) counts, per term, how many past pages used it.
+// It starts from Chrome history titles and grows by each finalized day's
+// pages. It is sealed like rollups when encryption is on.
+
+import { tokenize, isStopword } from './text.js';
+import { getEventsForDay, getPageContent, parseDayKey } from './store.js';
+import { withQuotaRetry } from './retention.js';
+import { sealStored, openStored } from './vault.js';
+import { shouldTrack } from './privacy.js';
+
+const CORPUS_KEY = 'corpus_topics';
+const SEED_DAYS = 90;                 // Chrome history used to start the corpus
+const SEED_MAX_TITLES = 5000;
+const MAX_CORPUS_TERMS = 30000;       // prune to the most common when exceeded
+const KEEP_CORPUS_TERMS = 20000;
+const TITLE_WEIGHT = 2;               // a title mention counts double
+const MIN_PAGES = 2;                  // a topic shows up on at least two pages...
+const MIN_PHRASE_COUNT = 2;           // ...and a phrase at least twice overall
+const MAX_TOPICS = 10;
+const MIN_RELATIVE_SCORE = 0.25;      // nothing under a quarter of the top topic's score
+const LONGER_PHRASE_SHARE = 0.7;      // a longer phrase this strong replaces its parts
+const PHRASE_BREAK = /[.!?;:,](?:\s|$)|[\n|()[\]{}"“”—–·•]+|\s-\s/;
+
+// Web-page filler that isn't a topic even when it's frequent
+const NOISE = new Set([
+  'page', 'pages', 'home', 'menu', 'search', 'results', 'login', 'sign', 'share', 'comments', 'comment', 'reply',
+  'post', 'posts', 'read', 'new', 'like', 'get', 'use', 'using', 'one', 'two', 'see', 'also', 'may', 'can',
+  'http', 'https', 'www', 'com', 'html', 'view', 'edit', 'open', 'click', 'free', 'online', 'official',
+]);
+
+// ============================================================
+// TOPICS — for rollups
+// ============================================================
+
+// A day's stored pages + events → [{ term, score, pages }], best first.
+// Pages with stored content count with their text; other visited pages
+// with their title only.
+export async function buildTopics(events, pages = []) {
+  const docs = dayDocuments(events, pages);
+  if (docs.length < MIN_PAGES) return [];
+  const corpus = await loadCorpus();
+
+  const stats = new Map();    // term → { count, pages }
+  for (const doc of docs) {
+    const counts = termCounts(doc);
+    for (const [term, count] of counts) {
+      const s = stats.get(term) || { count: 0, pages: 0 };
+      s.count += count;
+      s.pages++;
+      stats.set(term, s);
+    }
+  }
+
+  const scored = [];
+  for (const [term, s] of stats) {
+    const phrase = term.includes(' ');
+    if (s.pages < MIN_PAGES || (phrase && s.count < MIN_PHRASE_COUNT)) continue;
+    // Spread over pages counts more than repetition on one page
+    const tf = s.pages + Math.log(1 + s.count);
+    const idf = Math.log((corpus.docCount + 1) / ((corpus.df[term] || 0) + 1)) + 1;
+    scored.push({ term, score: tf * idf * (phrase ? 1.5 : 1), pages: s.pages });
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  // A phrase covers its words: "service worker" hides "service" and "worker"
+  // unless they're clearly bigger on their own, and a longer phrase that is
+  // nearly as strong replaces the shorter ones inside it ("mv3 service worker")
+  let topics = [];
+  const floor = (scored[0]?.score || 0) * MIN_RELATIVE_SCORE;
+  for (const candidate of scored) {
+    if (topics.length >= MAX_TOPICS || candidate.score < floor) break;
+    const inside = topics.filter(t => contains(candidate.term, t.term));
+    if (inside.length > 0) {
+      if (inside.some(t => candidate.score < t.score * LONGER_PHRASE_SHARE)) continue;
+      topics = topics.filter(t => !inside.includes(t));
+    } else if (topics.some(t => contains(t.term, candidate.term) && t.score >= candidate.score * 0.5)) {
+      continue;
+    }
+    topics.push(candidate);
+  }
+  return topics.map(t => ({ ...t, score: Math.round(t.score * 100) / 100 }));
+}
+
+// ============================================================
+// CORPUS
+// ============================================================
+
+// Add a finalized day's pages to the background corpus (once per day)
+export async function addDayToCorpus(day) {
+  const corpus = await loadCorpus();
+  if (corpus.days.includes(day)) return;
+  const events = await getEventsForDay(parseDayKey(day));
+  for (const doc of dayDocuments(events, await getPageContent(day))) addDocument(corpus, doc);
+  corpus.days = [...corpus.days, day].slice(-SEED_DAYS * 4);
+  await saveCorpus(corpus);
+}
+
+async function loadCorpus() {
+  try {
+    const stored = (await chrome.storage.local.get(CORPUS_KEY))[CORPUS_KEY];
+    if (stored) return await openStored(stored);
+    return await seedCorpus();
+  } catch (e) {
+    console.warn('[StarkChrome] Topic corpus unavailable:', e.message);
+    return emptyCorpus();
+  }
+}
+
+// First run: one document per Chrome history title (privacy settings applied)
+async function seedCorpus() {
+  const corpus = emptyCorpus();
+  const items = await chrome.history.search({
+    text: '',
+    startTime: Date.now() - SEED_DAYS * 24 * 60 * 60 * 1000,
+    maxResults: SEED_MAX_TITLES,
+  });
+  for (const item of items) {
+    if (item.title && shouldTrack(item.url)) addDocument(corpus, { title: item.title, body: '' });
+  }
+  await saveCorpus(corpus);
+  console.log(`[StarkChrome] Topic corpus seeded from ${corpus.docCount} history titles`);
+  return corpus;
+}
+
+async function saveCorpus(corpus) {
+  const terms = Object.keys(corpus.df);
+  if (terms.length > MAX_CORPUS_TERMS) {
+    const keep = terms.sort((a, b) => corpus.df[b] - corpus.df[a]).slice(0, KEEP_CORPUS_TERMS);
+    corpus.df = Object.fromEntries(keep.map(t => [t, corpus.df[t]]));
+  }
+  const stored = await sealStored(corpus);
+  await withQuotaRetry(() => chrome.storage.local.set({ [CORPUS_KEY]: stored }));
+}
+
+function emptyCorpus() {
+  return { docCount: 0, df: {}, days: [] };
+}
+
+function addDocument(corpus, doc) {
+  corpus.docCount++;
+  for (const term of termCounts(doc).keys()) corpus.df[term] = (corpus.df[term] || 0) + 1;
+}
+
+// ============================================================
+// TERMS
+// ============================================================
+
+// One document per page: stored content where we have it, titles otherwise
+function dayDocuments(events, pages) {
+  const docs = new Map();
+  for (const page of pages) docs.set(page.url, { title: page.title || '', body: page.content || '' });
+  for (const e of events) {
+    if (e.type !== 'navigation' || !e.url || !e.title || docs.has(e.url)) continue;
+    docs.set(e.url, { title: e.title, body: '' });
+  }
+  return [...docs.values()];
+}
+
+// Keywords + 2–3 word phrases of adjacent content words → counts
+function termCounts({ title, body }) {
+  const counts = new Map();
+  const add = (text, weight) => {
+    // Phrases never run across sentences, lines or title separators
+    for (const chunk of (text || '').split(PHRASE_BREAK)) addChunk(tokenize(chunk), weight);
+  };
+  const addChunk = (tokens, weight) => {
+    for (let i = 0; i < tokens.length; i++) {
+      if (!isTopicWord(tokens[i])) continue;
+      counts.set(tokens[i], (counts.get(tokens[i]) || 0) + weight);
+      let phrase = tokens[i];
+      for (let j = i + 1; j < Math.min(i + 3, tokens.length) && isTopicWord(tokens[j]); j++) {
+        phrase += ` ${tokens[j]}`;
+        counts.set(phrase, (counts.get(phrase) || 0) + weight);
+      }
+    }
+  };
+  add(title, TITLE_WEIGHT);
+  add(body, 1);
+  return counts;
+}
+
+function isTopicWord(token) {
+  return !isStopword(token) && token.length >= 3 && !NOISE.has(token) && !/^[\d.,_-]+$/.test(token);
+}
+
+// Every word of `inner` is in `outer` ("service worker" contains "worker")
+function contains(outer, inner) {
+  if (outer === inner || outer.length < inner.length) return false;
+  const words = outer.split(' ');
+  return inner.split(' ').every(w => words.includes(w));
+}
@@ -1,20 +1,60 @@
 // StarkChrome v2 — Time-on-Page Tracker + Content Extraction + Logger
-// Tracks how long the user spends on each page/tab.
+// Tracks how long the user spends on each page/tab — only while that tab is
+// the active tab of the focused window (see events/windows.js).
 // When user leaves a page after 60s+, extracts content and sends to logger.
+// Reading engagement (scroll depth, active dwell) comes with the extraction
+// and is updated whenever the page is hidden again (see engagement.js).
 
 import { getDomain, shouldTrack, sanitizeUrl } from './privacy.js';
-import { addPageContent } from './store.js';
+import { addPageContent, updatePageContent, recordEvent, dayKey } from './store.js';
+import { indexPage } from './search.js';
+import { withQuotaRetry } from './retention.js';
 import { postToLogger, isLoggerConfigured } from './logger.js';
+import { getConfig } from './api.js';
+import { measureEngagement, mergeEngagement, MIN_READ_COMPLETION } from './engagement.js';
+import { truncateMarkdown } from './text.js';
+import { summarize } from './summarize.js';
+import { extractTabContent } from './pdf.js';
 
 let currentPage = null; // { url, domain, title, startTime, tabId }
-let pageTimeLog = [];   // accumulated page times for today
+// Focused browser window. null = not known yet (treated as focused);
+// chrome.windows.WINDOW_ID_NONE = another app has focus, so nothing accrues.
+let focusedWindowId = null;
+// Accumulated page times per local day, until the day is rolled up:
+// { 'YYYY-MM-DD': { domains: { [domain]: { totalMs, sessions } },
+//                   urls: { [url]: { domain, path, title, totalMs, sessions } },
+//                   paths: { [path]: { domain, totalMs, sessions } },
+//                   passive: { [url]: { domain, title, totalMs, sessions } } } }
+// `path` is the URL cut to the domain's path depth, e.g. github.com/org/repo.
+// `passive` is watched/listened time on media tabs, kept apart from active time.
+let dayTimes = {};
+// Tabs with sound or playing media: { [tabId]: { url, domain, title, audible, playing, since } }.
+// Such a tab accrues passive time whenever it isn't the page being actively
+// tracked — in the background, in an unfocused window, or while idle.
+// `since` marks the start of the current passive stretch (null = not accruing).
+let mediaTabs = {};
 const sentUrls = new Set(); // per-session dedup — only send each URL once
 
 const MIN_DURATION_MS = 3000;           // Ignore <3 second bounces
 const MAX_DURATION_MS = 30 * 60 * 1000; // Cap at 30 minutes
 const CONTENT_MIN_MS = 35 * 1000;       // Extract + log content after 35s+
 const CONTENT_MAX_MS = 30 * 60 * 1000;  // Skip if >30 min (probably idle)
+const MAX_PASSIVE_MS = 4 * 60 * 60 * 1000; // Cap one passive stretch at 4 hours
 const MIN_TEXT_LENGTH = 200;            // Page must have >200 chars to be worth extracting
+const MARKDOWN_MAX = 3000;              // Stored Markdown (headings, lists, code) per page
+
+// Path segments that identify "a thing" on a site; the options page can
+// override these (config.pathDepths). Keyed by host without www.
+const DEFAULT_PATH_DEPTHS = {
+  'github.com': 2,              // org/repo
+  'gitlab.com': 2,
+  'stackoverflow.com': 2,       // questions/123
+  'reddit.com': 2,              // r/subreddit
+  'docs.google.com': 3,         // document/d/id
+  'developer.mozilla.org': 4,   // en-US/docs/Web/API
+  'youtube.com': 0,
+};
+const DEFAULT_PATH_DEPTH = 1;
 
 // Called when user navigates to a new page or switches tabs
 export function trackPageChange(url, title, tabId) {
@@ -24,7 +64,7 @@ export function trackPageChange(url, title, tabId) {
   if (currentPage) {
     const duration = Math.min(now - currentPage.startTime, MAX_DURATION_MS);
     if (duration >= MIN_DURATION_MS) {
-      accumulateTime(currentPage.domain, duration);
+      accumulateTime(currentPage, now, duration);
     }
     // Extract content for meaningful visits (60s - 30min)
     if (duration >= CONTENT_MIN_MS && duration <= CONTENT_MAX_MS) {
@@ -44,20 +84,107 @@ export function trackPageChange(url, title, tabId) {
   } else {
     currentPage = null;
   }
+  syncPassive(now);
 }
 
 // Called when user goes idle or locks screen
 export function trackIdle() {
+  closeCurrentPage();
+}
+
+// Called when focus moves to another window (activeTab = its active tab)
+// or away from Chrome entirely (WINDOW_ID_NONE)
+export function trackFocusChange(windowId, activeTab) {
+  focusedWindowId = windowId;
+  if (windowId === chrome.windows.WINDOW_ID_NONE || !activeTab?.url) {
+    closeCurrentPage();
+    return;
+  }
+  trackPageChange(activeTab.url, activeTab.title, activeTab.id);
+}
+
+// Should activity in this window count as foreground attention?
+export function isFocusedWindow(windowId) {
+  return focusedWindowId === null || focusedWindowId === windowId;
+}
+
+// Close out the current page without starting a new one
+function closeCurrentPage() {
   if (currentPage) {
-    const duration = Math.min(Date.now() - currentPage.startTime, MAX_DURATION_MS);
+    const now = Date.now();
+    const duration = Math.min(now - currentPage.startTime, MAX_DURATION_MS);
     if (duration >= MIN_DURATION_MS) {
-      accumulateTime(currentPage.domain, duration);
+      accumulateTime(currentPage, now, duration);
     }
     if (duration >= CONTENT_MIN_MS && duration <= CONTENT_MAX_MS) {
       extractAndLog(currentPage.tabId, currentPage.url, currentPage.title, duration);
     }
     currentPage = null;
+    syncPassive(now);
+  }
+}
+
+// ============================================================
+// PASSIVE TIME — audible tabs and playing media
+// ============================================================
+
+// Called when a tab's audible state (tabs.onUpdated) or media playback
+// (content script) changes. state: { audible?, playing? }
+export function trackMediaState(tab, state) {
+  if (!tab?.id || !tab.url || !shouldTrack(tab.url)) return;
+  const now = Date.now();
+  let m = mediaTabs[tab.id];
+
+  // Navigated away — what played before belongs to the old URL
+  if (m && sanitizeUrl(m.url) !== sanitizeUrl(tab.url)) {
+    closePassive(m, now);
+    delete mediaTabs[tab.id];
+    m = null;
+  }
+  if (!m) {
+    if (!state.audible && !state.playing) return;
+    m = mediaTabs[tab.id] = {
+      url: tab.url, domain: getDomain(tab.url), title: '', audible: false, playing: false, since: null,
+    };
+  }
+  if (state.audible !== undefined) m.audible = state.audible;
+  if (state.playing !== undefined) m.playing = state.playing;
+  if (tab.title) m.title = tab.title;
+
+  if (!m.audible && !m.playing) {
+    closePassive(m, now);
+    delete mediaTabs[tab.id];
+  }
+  syncPassive(now);
+}
+
+// Called when a tab closes
+export function trackTabClosed(tabId) {
+  const m = mediaTabs[tabId];
+  if (!m) return;
+  closePassive(m, Date.now());
+  delete mediaTabs[tabId];
+}
+
+// Start or stop passive stretches: a media tab that is the actively
+// tracked page counts as active time instead
+function syncPassive(now) {
+  for (const [tabId, m] of Object.entries(mediaTabs)) {
+    if (currentPage?.tabId === Number(tabId)) {
+      closePassive(m, now);
+    } else if (m.since === null) {
+      m.since = now;
+    }
+  }
+}
+
+function closePassive(m, now) {
+  if (m.since === null) return;
+  const duration = Math.min(now - m.since, MAX_PASSIVE_MS);
+  if (duration >= MIN_DURATION_MS) {
+    accumulateTime(m, now, duration, addPassiveToDay);
   }
+  m.since = null;
 }
 
 // Called when user comes back from idle
@@ -75,27 +202,66 @@ async function extractAndLog(tabId, url, title, timeSpent) {
   if (sentUrls.has(cleanUrl)) return;
 
   try {
-    const content = await chrome.tabs.sendMessage(tabId, { type: 'extract_content' });
-    if (!content || !content.text || content.text.length < MIN_TEXT_LENGTH) return;
+    const content = await extractTabContent(tabId, url);
+    if (content?.withheld) {
+      sentUrls.add(cleanUrl);
+      await recordWithheld(url, title || content.meta?.title, content.withheld, 'tracker');
+      // Metadata-only pages are still stored — title, description, author — without any text
+      if (content.withheld.level === 'metadata') {
+        const stored = await withQuotaRetry(() => addPageContent({
+          url: cleanUrl,
+          title: title || content.meta?.title || '',
+          timeSpent,
+          content: '',
+          markdown: '',
+          summary: (content.meta?.description || '').slice(0, 300),
+          keySentences: [],
+          kind: content.kind || 'article',
+          fields: {},
+          meta: content.meta || {},
+          wordCount: 0,
+          engagement: null,
+          withheld: 'metadata',
+          timestamp: Date.now(),
+        }));
+        if (stored) await indexPage(stored.entry, stored.date);
+      }
+      return;
+    }
+    if (!content || !content.text) return;
+    // Site extractors' pages (a PR, a video) are worth keeping even when short
+    const structured = content.kind && content.kind !== 'article';
+    if (!structured && content.text.length < MIN_TEXT_LENGTH) return;
 
     const contentText = content.text.slice(0, 2000);
-    const summary = buildSummary(content);
+    const markdown = truncateMarkdown(content.markdown, MARKDOWN_MAX);
+    const { summary, keySentences } = buildSummary(content, title);
+    const engagement = content.engagement ? measureEngagement(content.engagement, content.wordCount) : null;
 
     // Mark as sent for this session
     sentUrls.add(cleanUrl);
 
-    // Store locally (for daily digest)
-    await addPageContent({
+    // Store locally (for daily digest) and add to the search index
+    const stored = await withQuotaRetry(() => addPageContent({
       url: cleanUrl,
       title: title || content.meta?.title || '',
       timeSpent,
       content: contentText,
+      markdown,
+      summary,
+      keySentences,
+      kind: content.kind || 'article',
+      fields: content.fields || {},
       meta: content.meta || {},
+      wordCount: content.wordCount || 0,
+      engagement,
       timestamp: Date.now(),
-    });
+    }));
+    if (stored) await indexPage(stored.entry, stored.date);
 
-    // Send to logger endpoint (if configured)
-    if (isLoggerConfigured()) {
+    // Send to logger endpoint (if configured) — pages that were read, not skimmed
+    const wasRead = !engagement || engagement.readCompletion >= MIN_READ_COMPLETION;
+    if (isLoggerConfigured() && wasRead) {
       await postToLogger({
         type: 'page.content',
         timestamp: Date.now(),
@@ -103,55 +269,162 @@ async function extractAndLog(tabId, url, title, timeSpent) {
           url: cleanUrl,
           title: title || content.meta?.title || '',
           summary,
+          keySentences,
           content: contentText,
+          markdown,
+          kind: content.kind || 'article',
+          fields: content.fields || {},
           timeSpent,
+          readCompletion: engagement?.readCompletion ?? null,
+          scrollDepth: engagement?.scrollDepth ?? null,
+          activeMs: engagement?.activeMs ?? null,
         },
       });
     }
   } catch (e) {
-    // Content script not available (PDF, chrome pages, etc.) — skip silently
+    // Content script not available (chrome pages, web store, etc.) or the PDF
+    // couldn't be read — skip silently
   }
 }
 
-// Build a 2-3 sentence summary from meta description or first paragraph
-function buildSummary(content) {
-  // Prefer meta description if available
-  if (content.meta?.description && content.meta.description.length > 20) {
-    return content.meta.description.slice(0, 300);
+// Audit trail for sensitive pages (content/sensitivity.js) whose text was
+// not extracted: which page, how far it was downgraded, and why
+export async function recordWithheld(url, title, withheld, source) {
+  console.log(`[StarkChrome] Content withheld (${withheld.level}: ${withheld.reasons.join(', ')}): ${sanitizeUrl(url)}`);
+  await recordEvent({
+    type: 'content.withheld',
+    data: { url, title, level: withheld.level, reasons: withheld.reasons, source },
+  });
+}
+
+// Called when a page is hidden (content script). Pages already stored today
+// get their engagement raised to what the user has now read.
+export async function trackEngagement(tab, signals) {
+  if (!tab?.url || !shouldTrack(tab.url)) return;
+  const cleanUrl = sanitizeUrl(tab.url);
+  if (!sentUrls.has(cleanUrl)) return;   // not stored yet — extraction will carry it
+  try {
+    await withQuotaRetry(() => updatePageContent(dayKey(), cleanUrl, page => ({
+      ...page,
+      engagement: mergeEngagement(page.engagement, signals, page.wordCount),
+    })));
+  } catch (e) {
+    console.warn('[StarkChrome] Engagement update failed:', e.message);
   }
-  // Fall back to first 200 chars of body text
-  if (content.text) {
-    const firstChunk = content.text.slice(0, 300);
-    // Try to cut at a sentence boundary
-    const lastPeriod = firstChunk.lastIndexOf('.');
-    if (lastPeriod > 100) {
-      return firstChunk.slice(0, lastPeriod + 1);
-    }
-    return firstChunk.slice(0, 200);
+}
+
+// 2-4 sentence extractive summary of the page (summarize.js) plus its key
+// sentences. Pages without enough prose (a video, a short PR) fall back to
+// the meta description.
+function buildSummary(content, title) {
+  const { summary, keySentences } = summarize(content.text, { title: title || content.meta?.title });
+  if (summary) return { summary, keySentences };
+  return { summary: (content.meta?.description || '').slice(0, 300), keySentences: [] };
+}
+
+// Accumulate time for a page (domain + URL) that ended at endTime.
+// A visit that crosses midnight is split between the two days.
+function accumulateTime(page, endTime, durationMs, add = addToDay) {
+  if (!page.domain) return;
+  let end = endTime;
+  let remaining = durationMs;
+  while (remaining > 0) {
+    const day = new Date(end - 1);
+    const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+    const slice = Math.min(remaining, end - dayStart);
+    add(dayKey(day), page, slice);
+    remaining -= slice;
+    end = dayStart;
   }
-  return '';
 }
 
-// Accumulate time for a domain
-function accumulateTime(domain, durationMs) {
-  if (!domain) return;
-  const existing = pageTimeLog.find(e => e.domain === domain);
-  if (existing) {
-    existing.totalMs += durationMs;
-    existing.sessions++;
-  } else {
-    pageTimeLog.push({ domain, totalMs: durationMs, sessions: 1 });
+function addToDay(day, page, ms) {
+  const bucket = dayTimes[day] || (dayTimes[day] = { domains: {}, urls: {}, paths: {} });
+  if (!bucket.paths) bucket.paths = {};   // days started before path tracking
+
+  const d = bucket.domains[page.domain] || (bucket.domains[page.domain] = { totalMs: 0, sessions: 0 });
+  d.totalMs += ms;
+  d.sessions++;
+
+  const url = sanitizeUrl(page.url);
+  const path = pathPrefix(url, page.domain);
+  const u = bucket.urls[url] || (bucket.urls[url] = { domain: page.domain, path, title: '', totalMs: 0, sessions: 0 });
+  u.totalMs += ms;
+  u.sessions++;
+  if (page.title) u.title = page.title;
+
+  const p = bucket.paths[path] || (bucket.paths[path] = { domain: page.domain, totalMs: 0, sessions: 0 });
+  p.totalMs += ms;
+  p.sessions++;
+}
+
+function addPassiveToDay(day, page, ms) {
+  const bucket = dayTimes[day] || (dayTimes[day] = { domains: {}, urls: {}, paths: {} });
+  if (!bucket.passive) bucket.passive = {};
+  const url = sanitizeUrl(page.url);
+  const p = bucket.passive[url] || (bucket.passive[url] = { domain: page.domain, title: '', totalMs: 0, sessions: 0 });
+  p.totalMs += ms;
+  p.sessions++;
+  if (page.title) p.title = page.title;
+}
+
+// URL → 'domain/first/segments', cut to the domain's configured path depth
+export function pathPrefix(url, domain) {
+  const host = domain.replace(/^www\./, '');
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return [host, ...segments.slice(0, pathDepth(host))].join('/');
+  } catch (e) {
+    return host;
   }
 }
 
-// Get accumulated page times (for digest builder)
-export function getPageTimes() {
-  return [...pageTimeLog].sort((a, b) => b.totalMs - a.totalMs);
+function pathDepth(host) {
+  const depths = { ...DEFAULT_PATH_DEPTHS, ...getConfig().pathDepths };
+  return depths[host] ?? DEFAULT_PATH_DEPTH;
+}
+
+// Get accumulated per-domain times for a day (default today), longest first
+export function getPageTimes(day = dayKey()) {
+  const domains = dayTimes[day]?.domains || {};
+  return Object.entries(domains)
+    .map(([domain, t]) => ({ domain, totalMs: t.totalMs, sessions: t.sessions }))
+    .sort((a, b) => b.totalMs - a.totalMs);
+}
+
+// Get accumulated per-URL times for a day (default today), longest first
+export function getUrlTimes(day = dayKey()) {
+  const urls = dayTimes[day]?.urls || {};
+  return Object.entries(urls)
+    .map(([url, t]) => ({ url, ...t }))
+    .sort((a, b) => b.totalMs - a.totalMs);
+}
+
+// Get accumulated per-path-prefix times for a day (default today), longest first
+export function getPathTimes(day = dayKey()) {
+  const paths = dayTimes[day]?.paths || {};
+  return Object.entries(paths)
+    .map(([path, t]) => ({ path, ...t }))
+    .sort((a, b) => b.totalMs - a.totalMs);
+}
+
+// Get accumulated passive (watched/listened) times per URL for a day, longest first
+export function getPassiveTimes(day = dayKey()) {
+  const passive = dayTimes[day]?.passive || {};
+  return Object.entries(passive)
+    .map(([url, t]) => ({ url, ...t }))
+    .sort((a, b) => b.totalMs - a.totalMs);
+}
+
+// Days that still have un-rolled-up time
+export function getPendingTimeDays() {
+  return Object.keys(dayTimes).sort();
 }
 
-// Reset page times (after digest is built)
-export function resetPageTimes() {
-  pageTimeLog = [];
+// Drop a day's times once its rollup has been written
+export async function clearDayTimes(day) {
+  delete dayTimes[day];
+  await persistPageTimes();
 }
 
 // Format milliseconds to human-readable
@@ -163,23 +436,43 @@ export function formatDuration(ms) {
   return mins > 0 ? `${hours}h ${mins}min` : `${hours}h`;
 }
 
-// Get total active time today
-export function getTotalActiveTime() {
-  return pageTimeLog.reduce((sum, e) => sum + e.totalMs, 0);
+// Get total active time for a day (default today)
+export function getTotalActiveTime(day = dayKey()) {
+  return getPageTimes(day).reduce((sum, e) => sum + e.totalMs, 0);
 }
 
 // Persist page times to storage (survives service worker restart)
 export async function persistPageTimes() {
-  await chrome.storage.local.set({ _pageTimes: pageTimeLog, _currentPage: currentPage });
+  await chrome.storage.local.set({
+    _pageTimes: dayTimes,
+    _currentPage: currentPage,
+    _focusedWindow: focusedWindowId,
+    _mediaTabs: mediaTabs,
+  });
 }
 
 // Restore page times from storage
 export async function restorePageTimes() {
   try {
-    const result = await chrome.storage.local.get(['_pageTimes', '_currentPage']);
-    if (result._pageTimes) pageTimeLog = result._pageTimes;
+    const result = await chrome.storage.local.get(['_pageTimes', '_currentPage', '_focusedWindow', '_mediaTabs']);
+    if (result._pageTimes && !Array.isArray(result._pageTimes)) dayTimes = result._pageTimes;
     if (result._currentPage) currentPage = result._currentPage;
+    if (result._focusedWindow !== undefined) focusedWindowId = result._focusedWindow;
+    if (result._mediaTabs) mediaTabs = await dropClosedMediaTabs(result._mediaTabs);
   } catch (e) {
     // Fresh start if storage is corrupted
   }
 }
+
+// Media tabs from before a browser restart are gone (or their ids reused);
+// their unfinished stretches can't be timed, so they are dropped
+async function dropClosedMediaTabs(saved) {
+  const kept = {};
+  for (const [tabId, m] of Object.entries(saved)) {
+    try {
+      const tab = await chrome.tabs.get(Number(tabId));
+      if (sanitizeUrl(tab.url || '') === sanitizeUrl(m.url)) kept[tabId] = m;
+    } catch (e) {} // Tab no longer exists
+  }
+  return kept;
+}
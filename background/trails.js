@@ -0,0 +1,135 @@
+// StarkChrome v2 — Navigation Trails
+// chrome.webNavigation says how each page was reached: typed, clicked link,
+// reload, back/forward, opened from another tab. events/navigation.js feeds
+// commits in here; events/tabs.js picks the result up when it records the
+// page's `navigation` event. From those events a day's "trails" can be
+// rebuilt — a search, the result it led to, then the docs from there.
+
+import { sanitizeUrl, shouldTrack } from './privacy.js';
+
+const TRAIL_LINK_MS = 30 * 60 * 1000;    // a link step must follow its parent within 30 min
+const MIN_TRAIL_PAGES = 3;
+const FOLLOWED = new Set(['link', 'form_submit']);
+const TRAIL_STARTS = new Set(['typed', 'generated', 'auto_bookmark', 'keyword', 'keyword_generated']);
+
+const pending = new Map();       // tabId → { url, transition, qualifiers, fromUrl, sourceUrl }
+const lastCommitted = new Map(); // tabId → last committed top-frame URL
+const openedFrom = new Map();    // tabId → URL of the tab it was opened from
+
+// ============================================================
+// CAPTURE — called from events/navigation.js
+// ============================================================
+
+// A new tab opened from a link/window.open in another tab
+export function trackNavigationTarget(tabId, sourceTabId) {
+  const sourceUrl = lastCommitted.get(sourceTabId);
+  if (sourceUrl) openedFrom.set(tabId, sourceUrl);
+}
+
+// A top-frame navigation committed
+export function trackCommitted({ tabId, url, transitionType, transitionQualifiers = [] }) {
+  const previous = lastCommitted.get(tabId);
+  lastCommitted.set(tabId, url);
+
+  const sourceUrl = openedFrom.get(tabId) || null;
+  openedFrom.delete(tabId);
+
+  pending.set(tabId, {
+    url,
+    transition: transitionType,
+    qualifiers: transitionQualifiers,
+    // Where a followed link came from: the previous page in this tab,
+    // or the page in another tab that opened this one
+    fromUrl: FOLLOWED.has(transitionType) && !sourceUrl ? previous || null : null,
+    sourceUrl,
+  });
+}
+
+export function forgetTab(tabId) {
+  pending.delete(tabId);
+  lastCommitted.delete(tabId);
+  openedFrom.delete(tabId);
+}
+
+// How this tab reached `url` — data for its navigation event ({} if unknown)
+export function takeTransition(tabId, url) {
+  const nav = pending.get(tabId);
+  if (!nav || sanitizeUrl(nav.url) !== sanitizeUrl(url)) return {};
+  pending.delete(tabId);
+  return {
+    transition: nav.transition,
+    qualifiers: nav.qualifiers,
+    fromUrl: recordable(nav.fromUrl),
+    sourceUrl: recordable(nav.sourceUrl),
+  };
+}
+
+// ============================================================
+// TRAILS — for rollups
+// ============================================================
+
+// A day's events → top trails, most substantial first:
+// [{ start, end, pages, domains, steps: [{ t, url, title, domain }] }]
+// `steps` is the trail's longest branch; `pages` counts every page in it.
+export function buildTrails(events, limit = 5) {
+  const nodes = [];
+  const latestByUrl = new Map();   // url → newest node for it
+
+  for (const e of events) {
+    if (e.type !== 'navigation' || !e.data?.transition || !e.url) continue;
+    const { transition, qualifiers = [] } = e.data;
+    if (transition === 'reload' || qualifiers.includes('forward_back')) continue;
+
+    const node = { t: e.t, url: e.url, title: e.title, domain: e.domain, children: [], parent: null };
+    const from = e.data.sourceUrl || e.data.fromUrl;
+    const parent = from && !TRAIL_STARTS.has(transition) ? latestByUrl.get(from) : null;
+    if (parent && e.t - parent.t <= TRAIL_LINK_MS) {
+      node.parent = parent;
+      parent.children.push(node);
+    }
+    nodes.push(node);
+    latestByUrl.set(e.url, node);
+  }
+
+  return nodes
+    .filter(n => !n.parent)
+    .map(describeTrail)
+    .filter(t => t.pages >= MIN_TRAIL_PAGES && t.domains.length >= 2)
+    .sort((a, b) => score(b) - score(a))
+    .slice(0, limit);
+}
+
+function describeTrail(root) {
+  const all = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const n = stack.pop();
+    all.push(n);
+    stack.push(...n.children);
+  }
+  return {
+    start: root.t,
+    end: Math.max(...all.map(n => n.t)),
+    pages: new Set(all.map(n => n.url)).size,
+    domains: [...new Set(all.map(n => n.domain))],
+    steps: longestBranch(root).map(({ t, url, title, domain }) => ({ t, url, title, domain })),
+  };
+}
+
+function longestBranch(node) {
+  let best = [];
+  for (const child of node.children) {
+    const branch = longestBranch(child);
+    if (branch.length > best.length) best = branch;
+  }
+  return [node, ...best];
+}
+
+// Pages reached, with extra weight for crossing sites
+function score(trail) {
+  return trail.pages + 2 * trail.domains.length;
+}
+
+function recordable(url) {
+  return url && shouldTrack(url) ? sanitizeUrl(url) : '';
+}
@@ -0,0 +1,285 @@
+// StarkChrome v2 — Vault (encryption at rest)
+// Optional. When enabled, stored values are sealed with AES-GCM:
+//
+//   passphrase ──PBKDF2──▶ key-encryption key ──wraps──▶ data key (AES-GCM)
+//                                                          └─wraps─▶ RSA-OAEP private key
+//
+// The data key lives only in memory and in chrome.storage.session (memory-only,
+// cleared when the browser closes), so the store stays unlocked across service
+// worker restarts but locks with the browser.
+//
+// While locked the data key is unavailable, yet events must still be recorded.
+// A random per-session AES key is used instead; it is wrapped with the RSA
+// public key (stored in the clear) so it can only be recovered after unlocking.
+// Every sealed value names the key it was sealed with: 'd' or a session id.
+//
+// Sealed records that need an equality index (the event log's URL) carry a
+// keyed hash instead: HMAC-SHA256 under a key derived from the sealing key.
+
+const VAULT_KEY = 'vault';                 // chrome.storage.local: salt, wrapped keys
+const SESSIONS_KEY = 'vaultSessions';      // chrome.storage.local: { id: RSA-wrapped AES key }
+const SESSION_DATA_KEY = 'vaultDataKey';   // chrome.storage.session: raw data key
+const SESSION_LOCKED_KEY = 'vaultLockedSession'; // chrome.storage.session: { id, raw }
+const PBKDF2_ITERATIONS = 600000;
+const DATA_KEY_ID = 'd';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+let vaultConfig = null;        // stored vault record, null when encryption is off
+const keyring = new Map();     // key id → CryptoKey (data key and unwrapped session keys)
+let lockedSession = null;      // { id, key } used for sealing while locked
+const hashKeys = new Map();    // key id → HMAC key derived from it (hashValue)
+
+// ============================================================
+// STATE
+// ============================================================
+
+// Load the vault record and, if this browser session already unlocked it,
+// the data key from session storage
+export async function loadVault() {
+  keyring.clear();
+  hashKeys.clear();
+  lockedSession = null;
+  vaultConfig = (await chrome.storage.local.get(VAULT_KEY))[VAULT_KEY] || null;
+  if (!vaultConfig) return;
+
+  try {
+    const session = await chrome.storage.session.get([SESSION_DATA_KEY, SESSION_LOCKED_KEY]);
+    if (session[SESSION_DATA_KEY]) {
+      const dataKey = await importAesKey(fromBase64(session[SESSION_DATA_KEY]));
+      await loadKeyring(dataKey);
+    } else if (session[SESSION_LOCKED_KEY]) {
+      const { id, raw } = session[SESSION_LOCKED_KEY];
+      lockedSession = { id, key: await importAesKey(fromBase64(raw)) };
+    }
+  } catch (e) {
+    console.error('[StarkChrome] Vault session restore failed:', e);
+    keyring.clear();
+    hashKeys.clear();
+  }
+  console.log(`[StarkChrome] Encryption on — store ${isLocked() ? 'locked' : 'unlocked'}`);
+}
+
+export function isEncryptionEnabled() {
+  return vaultConfig !== null;
+}
+
+export function isLocked() {
+  return vaultConfig !== null && !keyring.has(DATA_KEY_ID);
+}
+
+export function getVaultStatus() {
+  return { enabled: isEncryptionEnabled(), locked: isLocked() };
+}
+
+// ============================================================
+// SETUP / UNLOCK / LOCK
+// ============================================================
+
+// Create a vault for a passphrase and leave it unlocked
+export async function createVault(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const kek = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true,
+    ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']);
+  const pair = await crypto.subtle.generateKey(
+    { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true, ['wrapKey', 'unwrapKey']);
+
+  vaultConfig = {
+    version: 1,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    dataKey: await wrap('raw', dataKey, kek),
+    privateKey: await wrap('pkcs8', pair.privateKey, dataKey),
+    publicKey: toBase64(await crypto.subtle.exportKey('spki', pair.publicKey)),
+    createdAt: Date.now(),
+  };
+  await chrome.storage.local.set({ [VAULT_KEY]: vaultConfig, [SESSIONS_KEY]: {} });
+  await rememberDataKey(dataKey);
+  keyring.clear();
+  hashKeys.clear();
+  keyring.set(DATA_KEY_ID, dataKey);
+}
+
+// Unlock with the passphrase. Returns false if it is wrong.
+export async function unlockVault(passphrase) {
+  if (!vaultConfig) return false;
+  const kek = await deriveKey(passphrase, fromBase64(vaultConfig.salt), vaultConfig.iterations);
+  let dataKey;
+  try {
+    dataKey = await unwrapAesKey(vaultConfig.dataKey, kek);
+  } catch (e) {
+    return false;   // AES-GCM authentication failed: wrong passphrase
+  }
+  await loadKeyring(dataKey);
+  await rememberDataKey(dataKey);
+  return true;
+}
+
+// Forget the data key until the next unlock
+export async function lockVault() {
+  keyring.clear();
+  hashKeys.clear();
+  lockedSession = null;
+  await chrome.storage.session.remove([SESSION_DATA_KEY, SESSION_LOCKED_KEY]);
+}
+
+// Stop sealing new values but keep the keys, so existing data can still be
+// opened while it is decrypted. Follow with destroyVault().
+export function stopSealing() {
+  vaultConfig = null;
+}
+
+// Remove the vault entirely (after data has been decrypted)
+export async function destroyVault() {
+  vaultConfig = null;
+  keyring.clear();
+  hashKeys.clear();
+  lockedSession = null;
+  await chrome.storage.local.remove([VAULT_KEY, SESSIONS_KEY]);
+  await chrome.storage.session.remove([SESSION_DATA_KEY, SESSION_LOCKED_KEY]);
+}
+
+// ============================================================
+// SEAL / OPEN
+// ============================================================
+
+// Encrypt any JSON value → { k, iv, ct }
+export async function seal(value) {
+  const { id, key } = await sealingKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return { k: id, iv: toBase64(iv), ct: toBase64(ct) };
+}
+
+// Decrypt a sealed value. Throws 'store_locked' if its key isn't available.
+export async function open(sealed) {
+  const key = keyring.get(sealed.k);
+  if (!key) throw new Error('store_locked');
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.ct));
+  return JSON.parse(decoder.decode(plain));
+}
+
+// Keyed hash of a string → base64. Equal strings hash equally under the same
+// sealing key, so an index can match them without storing the string.
+export async function hashValue(text) {
+  const { id, key } = await sealingKey();
+  if (!hashKeys.has(id)) hashKeys.set(id, await deriveHashKey(key));
+  return toBase64(await crypto.subtle.sign('HMAC', hashKeys.get(id), encoder.encode(text)));
+}
+
+// Sealed with a locked-session key rather than the data key (re-sealed after unlocking)
+export function isSessionSealed(sealed) {
+  return Boolean(sealed) && sealed.k !== DATA_KEY_ID;
+}
+
+// Key-value helpers for chrome.storage values: { sealed } when encryption is
+// on, the plain value otherwise. openStored accepts either form.
+export async function sealStored(value) {
+  return vaultConfig ? { sealed: await seal(value) } : value;
+}
+
+export async function openStored(value) {
+  return value?.sealed ? open(value.sealed) : value;
+}
+
+// ============================================================
+// Internals
+// ============================================================
+
+// Data key + private key → every session key sealed while locked
+async function loadKeyring(dataKey) {
+  keyring.clear();
+  hashKeys.clear();
+  keyring.set(DATA_KEY_ID, dataKey);
+  lockedSession = null;
+  await chrome.storage.session.remove(SESSION_LOCKED_KEY);
+
+  const privateKey = await crypto.subtle.unwrapKey('pkcs8', fromBase64(vaultConfig.privateKey.ct), dataKey,
+    { name: 'AES-GCM', iv: fromBase64(vaultConfig.privateKey.iv) },
+    { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['unwrapKey']);
+  const sessions = (await chrome.storage.local.get(SESSIONS_KEY))[SESSIONS_KEY] || {};
+  for (const [id, wrapped] of Object.entries(sessions)) {
+    keyring.set(id, await crypto.subtle.unwrapKey('raw', fromBase64(wrapped), privateKey,
+      { name: 'RSA-OAEP' }, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']));
+  }
+}
+
+// Data key when unlocked, this session's key while locked
+async function sealingKey() {
+  return keyring.has(DATA_KEY_ID)
+    ? { id: DATA_KEY_ID, key: keyring.get(DATA_KEY_ID) }
+    : getLockedSession();
+}
+
+// HKDF from the sealing key's bytes, so hashes can't be linked across keys
+async function deriveHashKey(key) {
+  const material = await crypto.subtle.importKey('raw', await crypto.subtle.exportKey('raw', key), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: encoder.encode('starkchrome:index-hash') },
+    material, { name: 'HMAC', hash: 'SHA-256', length: 256 }, false, ['sign']);
+}
+
+// Session key for sealing while locked — one per locked browser session
+async function getLockedSession() {
+  if (lockedSession) return lockedSession;
+  if (!vaultConfig) throw new Error('encryption_off');
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const publicKey = await crypto.subtle.importKey('spki', fromBase64(vaultConfig.publicKey),
+    { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey']);
+  const wrapped = await crypto.subtle.wrapKey('raw', key, publicKey, { name: 'RSA-OAEP' });
+  const id = `s${Date.now().toString(36)}`;
+
+  const sessions = (await chrome.storage.local.get(SESSIONS_KEY))[SESSIONS_KEY] || {};
+  sessions[id] = toBase64(wrapped);
+  await chrome.storage.local.set({ [SESSIONS_KEY]: sessions });
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await chrome.storage.session.set({ [SESSION_LOCKED_KEY]: { id, raw: toBase64(raw) } });
+
+  lockedSession = { id, key };
+  console.log('[StarkChrome] Store locked — recording with a session key');
+  return lockedSession;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material,
+    { name: 'AES-GCM', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+}
+
+async function wrap(format, key, wrappingKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.wrapKey(format, key, wrappingKey, { name: 'AES-GCM', iv });
+  return { iv: toBase64(iv), ct: toBase64(ct) };
+}
+
+async function unwrapAesKey(wrapped, wrappingKey) {
+  return crypto.subtle.unwrapKey('raw', fromBase64(wrapped.ct), wrappingKey,
+    { name: 'AES-GCM', iv: fromBase64(wrapped.iv) }, { name: 'AES-GCM' }, true,
+    ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']);
+}
+
+async function importAesKey(raw) {
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']);
+}
+
+async function rememberDataKey(dataKey) {
+  const raw = await crypto.subtle.exportKey('raw', dataKey);
+  await chrome.storage.session.set({ [SESSION_DATA_KEY]: toBase64(raw) });
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
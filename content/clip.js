@@ -0,0 +1,106 @@
+// StarkChrome v2 — Clip Capture
+// Answers the service worker's context-menu clips (background/clips.js):
+// the selection with the text around it and the nearest heading above it,
+// or the link / image that was right-clicked, with its text, alt and caption.
+
+const CONTEXT_CHARS = 300;     // surrounding text kept on each side
+const MAX_SELECTION = 5000;
+const BLOCK_SELECTOR = 'p, li, td, th, pre, blockquote, dd, figcaption, h1, h2, h3, h4, h5, h6, article, section, div';
+
+let lastTarget = null;         // element under the last right-click
+
+document.addEventListener('contextmenu', (e) => {
+  lastTarget = e.target instanceof Element ? e.target : null;
+}, { capture: true, passive: true });
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.type !== 'extract_clip') return;
+  let clip = null;
+  if (msg.kind === 'selection') clip = captureSelection();
+  else if (msg.kind === 'link') clip = captureLink(msg.linkUrl);
+  else if (msg.kind === 'image') clip = captureImage(msg.srcUrl);
+  sendResponse(clip);
+  return true;
+});
+
+// Selected text, what surrounds it in its block, and the heading above it
+function captureSelection() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+  const range = selection.getRangeAt(0);
+  const text = selection.toString().trim();
+  if (!text) return null;
+
+  const block = closestBlock(range.commonAncestorContainer);
+  let before = '';
+  let after = '';
+  if (block) {
+    const head = document.createRange();
+    head.selectNodeContents(block);
+    head.setEnd(range.startContainer, range.startOffset);
+    const tail = document.createRange();
+    tail.selectNodeContents(block);
+    tail.setStart(range.endContainer, range.endOffset);
+    before = squash(head.toString()).slice(-CONTEXT_CHARS);
+    after = squash(tail.toString()).slice(0, CONTEXT_CHARS);
+  }
+  return {
+    text: text.slice(0, MAX_SELECTION),
+    before,
+    after,
+    heading: nearestHeading(range.startContainer),
+  };
+}
+
+function captureLink(linkUrl) {
+  const anchor = lastTarget?.closest('a[href]');
+  const matches = anchor && anchor.href === linkUrl;
+  return {
+    text: matches ? squash(anchor.textContent) || anchor.getAttribute('aria-label') || '' : '',
+    linkTitle: matches ? anchor.title || '' : '',
+    context: matches ? blockText(anchor) : '',
+    heading: matches ? nearestHeading(anchor) : '',
+  };
+}
+
+function captureImage(srcUrl) {
+  const img = lastTarget?.closest('img') || lastTarget?.querySelector?.('img');
+  const matches = img && (img.currentSrc === srcUrl || img.src === srcUrl);
+  if (!matches) return { alt: '', caption: '', width: null, height: null, heading: '' };
+  const figure = img.closest('figure');
+  const describedBy = img.getAttribute('aria-describedby');
+  return {
+    alt: (img.alt || '').trim(),
+    imageTitle: img.title || '',
+    caption: squash(figure?.querySelector('figcaption')?.textContent
+      || (describedBy && document.getElementById(describedBy)?.textContent) || ''),
+    width: img.naturalWidth || null,
+    height: img.naturalHeight || null,
+    heading: nearestHeading(img),
+  };
+}
+
+// Last h1–h6 that comes before `node` in the document
+function nearestHeading(node) {
+  let found = '';
+  for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    if (heading.contains(node)) return squash(heading.textContent);
+    if (heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING) found = heading;
+    else break;
+  }
+  return found ? squash(found.textContent) : '';
+}
+
+function closestBlock(node) {
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return el?.closest(BLOCK_SELECTOR) || null;
+}
+
+function blockText(el) {
+  const block = el.parentElement?.closest(BLOCK_SELECTOR);
+  return block ? squash(block.textContent).slice(0, 2 * CONTEXT_CHARS) : '';
+}
+
+function squash(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
@@ -1,50 +1,138 @@
 // StarkChrome v2 — Page Content Extractor
-// Extracts readable text from pages (like Reader Mode).
-// Only runs when requested by the background service worker.
+// Extracts the article from pages (like Reader Mode) as Markdown and plain text.
+// Only runs when requested by the background service worker, and not on
+// sensitive pages (sensitivity.js) — those get metadata at most.
+// Also keeps passive engagement signals (scroll depth, active dwell), which
+// go along with each extraction and are reported when the page is hidden.
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type !== 'extract_content') return;
   const content = extractReadableContent();
+  content.engagement = getEngagement();
   sendResponse(content);
   return true;
 });
 
+// ============================================================
+// ENGAGEMENT — passive listeners only, nothing that blocks the page
+// ============================================================
+
+const IDLE_CUTOFF_MS = 2 * 60 * 1000;   // No input for 2 min → stop counting dwell
+const INPUT_THROTTLE_MS = 1000;
+
+let maxScrollDepth = 0;
+let activeMs = 0;
+let activeSince = null;                 // start of the current counted stretch
+let lastInput = performance.now();
+let scrollPending = false;
+
+// Visible and focused counts as active, up to IDLE_CUTOFF_MS after the last input
+function settleDwell() {
+  const now = performance.now();
+  if (activeSince !== null) {
+    const end = Math.min(now, lastInput + IDLE_CUTOFF_MS);
+    if (end > activeSince) activeMs += end - activeSince;
+  }
+  activeSince = document.visibilityState === 'visible' && document.hasFocus() ? now : null;
+}
+
+function measureScroll() {
+  scrollPending = false;
+  const height = document.documentElement.scrollHeight;
+  const depth = height > 0 ? (window.scrollY + window.innerHeight) / height : 1;
+  maxScrollDepth = Math.max(maxScrollDepth, Math.min(1, depth));
+}
+
+function onInput() {
+  const now = performance.now();
+  if (now - lastInput < INPUT_THROTTLE_MS) return;
+  settleDwell();
+  lastInput = now;
+}
+
+function getEngagement() {
+  settleDwell();
+  return { scrollDepth: Math.round(maxScrollDepth * 100) / 100, activeMs: Math.round(activeMs) };
+}
+
+function reportEngagement() {
+  chrome.runtime.sendMessage({ action: 'engagement', engagement: getEngagement() }).catch(() => {});
+}
+
+window.addEventListener('scroll', () => {
+  onInput();
+  if (!scrollPending) {
+    scrollPending = true;
+    requestAnimationFrame(measureScroll);
+  }
+}, { passive: true });
+for (const type of ['keydown', 'pointerdown', 'pointermove', 'wheel', 'touchstart']) {
+  window.addEventListener(type, onInput, { passive: true, capture: true });
+}
+window.addEventListener('focus', settleDwell);
+window.addEventListener('blur', settleDwell);
+document.addEventListener('visibilitychange', () => {
+  settleDwell();
+  if (document.visibilityState === 'hidden') reportEngagement();
+});
+window.addEventListener('pagehide', reportEngagement);
+measureScroll();
+settleDwell();
+
+// ============================================================
+// EXTRACTION
+// ============================================================
+
+// Site extractor for this page if one matches (and finds its content),
+// otherwise the article found by readability.js, rendered by markdown.js.
+// Result: { meta, kind, fields, text, markdown, wordCount, extractedAt }, plus
+// `withheld: { level, reasons }` (and no text) when the page is sensitive.
 function extractReadableContent() {
-  // Noise elements to remove
-  const removeSelectors = [
-    'nav', 'header', 'footer', 'aside', '.sidebar', '.nav',
-    '.menu', '.ad', '.advertisement', '.social-share',
-    '.comments', '.related', '#comments', '.cookie-banner',
-    '.popup', '.modal', '.overlay', '.banner', '.promo',
-    'script', 'style', 'noscript', 'iframe', 'svg',
-  ];
-
-  // Clone body to avoid modifying the actual page
-  const clone = document.body.cloneNode(true);
-  removeSelectors.forEach(sel => {
-    clone.querySelectorAll(sel).forEach(el => el.remove());
-  });
-
-  // Try to find main content area (most specific first)
-  const mainContent = clone.querySelector('article')
-    || clone.querySelector('[role="main"]')
-    || clone.querySelector('main')
-    || clone.querySelector('.post-content')
-    || clone.querySelector('.article-content')
-    || clone.querySelector('.entry-content')
-    || clone.querySelector('.content')
-    || clone.querySelector('#content')
-    || clone;
-
-  // Get text content, clean up whitespace
-  let text = mainContent.innerText || mainContent.textContent || '';
-  text = text
-    .replace(/\n{3,}/g, '\n\n')
-    .replace(/[ \t]+/g, ' ')
-    .trim();
-
-  // Get metadata
-  const meta = {
+  const sensitivity = classifySensitivity(document);
+  if (sensitivity.level !== 'none') return withheldContent(sensitivity);
+
+  const meta = extractMeta();
+  const site = extractSiteContent();
+  let kind = 'article';
+  let fields = {};
+  let markdown;
+  let text;
+  if (site) {
+    ({ kind, fields, markdown, text } = site);
+  } else {
+    const article = findArticle(document);
+    markdown = renderMarkdown(article);
+    text = renderMarkdown(article, { markdown: false });
+  }
+
+  return {
+    meta,
+    kind,
+    fields,
+    text: text.slice(0, 5000),  // Cap at 5000 chars
+    markdown,                   // Cut to size in the background (truncateMarkdown)
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+    extractedAt: Date.now(),
+  };
+}
+
+// Sensitive page: metadata only, or just title + URL when blocked
+function withheldContent(sensitivity) {
+  const meta = extractMeta();
+  return {
+    meta: sensitivity.level === 'blocked' ? { title: meta.title, url: meta.url, domain: meta.domain } : meta,
+    kind: 'article',
+    fields: {},
+    text: '',
+    markdown: '',
+    wordCount: 0,
+    withheld: sensitivity,
+    extractedAt: Date.now(),
+  };
+}
+
+function extractMeta() {
+  return {
     title: document.title,
     description: document.querySelector('meta[name="description"]')?.content
       || document.querySelector('meta[property="og:description"]')?.content
@@ -56,11 +144,189 @@ function extractReadableContent() {
     url: window.location.href,
     domain: window.location.hostname,
   };
+}
 
+// ============================================================
+// SITE EXTRACTORS — keyed by URL pattern
+// ============================================================
+// Each returns { fields, markdown } for its `kind` (null if the page isn't
+// what it expected); the plain text is derived from the Markdown. The
+// background renders each kind's fields (background/page-kinds.js).
+
+const SITE_EXTRACTORS = [
+  { kind: 'github-pr', pattern: /^https:\/\/github\.com\/[^/]+\/[^/]+\/pull\/\d+/, extract: extractGitHubPull },
+  { kind: 'github-issue', pattern: /^https:\/\/github\.com\/[^/]+\/[^/]+\/issues\/\d+/, extract: extractGitHubIssue },
+  { kind: 'stackoverflow-question', pattern: /^https:\/\/(stackoverflow\.com|[^/]+\.stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com)\/questions\/\d+/, extract: extractStackOverflow },
+  { kind: 'youtube-video', pattern: /^https:\/\/(www\.|m\.)?youtube\.com\/watch\?/, extract: extractYouTube },
+  { kind: 'arxiv-paper', pattern: /^https:\/\/(www\.)?arxiv\.org\/abs\//, extract: extractArxiv },
+];
+
+const MAX_COMMENTS = 10;
+const MAX_COMMENT_CHARS = 600;
+const MAX_FILES = 50;
+
+function extractSiteContent() {
+  const extractor = SITE_EXTRACTORS.find(x => x.pattern.test(window.location.href));
+  if (!extractor) return null;
+  try {
+    const result = extractor.extract();
+    if (!result) return null;
+    return {
+      kind: extractor.kind,
+      fields: result.fields,
+      markdown: result.markdown,
+      text: markdownToText(result.markdown),
+    };
+  } catch (e) {
+    return null;   // Site changed its markup — fall back to the generic extractor
+  }
+}
+
+// GitHub pull request: title, state, author, changed files, description + review comments
+function extractGitHubPull() {
+  const base = extractGitHubThread();
+  if (!base) return null;
+  const files = [...new Set([...document.querySelectorAll('[data-tagsearch-path], .file-header[data-path], [data-file-path]')]
+    .map(el => el.getAttribute('data-tagsearch-path') || el.getAttribute('data-path') || el.getAttribute('data-file-path'))
+    .filter(Boolean))].slice(0, MAX_FILES);
+  const filesChanged = Number(textOf(document.querySelector('#files_tab_counter')).replace(/\D/g, '')) || files.length;
+  const fields = { ...base.fields, filesChanged, files };
+
+  const lines = [`# ${fields.title} (#${fields.number})`, '', `${fields.repo} · ${fields.state} · by ${fields.author || 'unknown'}`, ''];
+  if (filesChanged) {
+    lines.push(`## Files changed (${filesChanged})`, '', ...files.map(f => `- \`${f}\``), '');
+  }
+  lines.push(...base.body);
+  return { fields, markdown: lines.join('\n') };
+}
+
+function extractGitHubIssue() {
+  const base = extractGitHubThread();
+  if (!base) return null;
+  const { fields } = base;
+  const lines = [`# ${fields.title} (#${fields.number})`, '', `${fields.repo} · ${fields.state} · by ${fields.author || 'unknown'}`, '', ...base.body];
+  return { fields, markdown: lines.join('\n') };
+}
+
+// Shared by PRs and issues: header fields, description and comments
+function extractGitHubThread() {
+  const [, owner, repo, , number] = window.location.pathname.split('/');
+  const title = textOf(document.querySelector('.js-issue-title, [data-testid="issue-title"], bdi.markdown-title'));
+  if (!title) return null;
+  const stateEl = document.querySelector('.gh-header-meta .State, [data-testid="header-state"], span.State');
+  const state = (stateEl?.getAttribute('title')?.replace(/^Status:\s*/, '') || textOf(stateEl) || 'unknown').toLowerCase();
+
+  const comments = [...document.querySelectorAll('.timeline-comment, .review-comment, [data-testid="comment-viewer-outer-box"]')]
+    .map(el => ({
+      author: textOf(el.querySelector('.author, [data-testid="avatar-link"]')),
+      body: el.querySelector('.comment-body, .markdown-body'),
+    }))
+    .filter(c => c.body);
+  const [description, ...rest] = comments;
+  const reviewComments = rest.slice(0, MAX_COMMENTS).map(c => ({
+    author: c.author,
+    body: renderMarkdown(c.body).slice(0, MAX_COMMENT_CHARS),
+  }));
+
+  const body = [];
+  if (description) body.push('## Description', '', renderMarkdown(description.body), '');
+  if (reviewComments.length > 0) {
+    body.push(`## Comments (${reviewComments.length})`, '');
+    for (const c of reviewComments) body.push(`**${c.author || 'unknown'}:**`, '', c.body, '');
+  }
   return {
-    meta,
-    text: text.slice(0, 5000),  // Cap at 5000 chars
-    wordCount: text.split(/\s+/).filter(Boolean).length,
-    extractedAt: Date.now(),
+    fields: {
+      repo: `${owner}/${repo}`,
+      number: Number(number),
+      title,
+      state,
+      author: description?.author || textOf(document.querySelector('.gh-header-meta .author')),
+      comments: reviewComments,
+    },
+    body,
   };
 }
+
+// Stack Overflow (and other Stack Exchange sites): question + accepted (or top) answer
+function extractStackOverflow() {
+  const question = document.querySelector('#question');
+  const title = textOf(document.querySelector('#question-header h1'));
+  if (!question || !title) return null;
+  const answer = document.querySelector('.answer.accepted-answer, .js-accepted-answer') || document.querySelector('.answer');
+  const accepted = Boolean(answer?.matches('.accepted-answer, .js-accepted-answer'));
+
+  const fields = {
+    title,
+    tags: [...question.querySelectorAll('.post-tag')].map(textOf).filter(Boolean),
+    score: Number(textOf(question.querySelector('.js-vote-count'))) || 0,
+    answers: document.querySelectorAll('.answer').length,
+    accepted,
+    answer: answer
+      ? { author: textOf([...answer.querySelectorAll('.user-details a')].pop()), score: Number(textOf(answer.querySelector('.js-vote-count'))) || 0 }
+      : null,
+  };
+
+  const lines = [`# ${title}`, ''];
+  if (fields.tags.length > 0) lines.push(fields.tags.map(t => `\`${t}\``).join(' '), '');
+  lines.push('## Question', '', renderMarkdown(question.querySelector('.js-post-body, .s-prose') || question), '');
+  if (answer) {
+    lines.push(`## ${accepted ? 'Accepted answer' : 'Top answer'} (score ${fields.answer.score})`, '');
+    lines.push(renderMarkdown(answer.querySelector('.js-post-body, .s-prose') || answer));
+  }
+  return { fields, markdown: lines.join('\n') };
+}
+
+// YouTube watch page — a single-page app, so read the live player and
+// metadata rather than <meta> tags, which keep the first video's values
+function extractYouTube() {
+  const title = textOf(document.querySelector('ytd-watch-metadata h1, h1.title'));
+  if (!title) return null;
+  const video = document.querySelector('video');
+  const duration = video && Number.isFinite(video.duration) ? Math.round(video.duration) : null;
+  const description = document.querySelector('ytd-watch-metadata #description-inline-expander, #description .content, #description');
+
+  const fields = {
+    videoId: new URLSearchParams(window.location.search).get('v'),
+    title,
+    channel: textOf(document.querySelector('ytd-watch-metadata ytd-channel-name a, #owner ytd-channel-name a, #channel-name a')),
+    durationSec: duration,
+    duration: duration ? formatDuration(duration) : '',    // "1:02:05", shown as is by page-kinds.js
+  };
+  const descriptionText = description ? renderMarkdown(description) : '';
+  const lines = [`# ${title}`, '', `${fields.channel || 'Unknown channel'}${fields.duration ? ` · ${fields.duration}` : ''}`, ''];
+  if (descriptionText) lines.push('## Description', '', descriptionText);
+  return { fields, markdown: lines.join('\n') };
+}
+
+// arXiv abstract page: title, authors, abstract, subjects
+function extractArxiv() {
+  const metaAll = name => [...document.querySelectorAll(`meta[name="${name}"]`)].map(m => m.content.trim()).filter(Boolean);
+  const title = metaAll('citation_title')[0] || textOf(document.querySelector('h1.title')).replace(/^Title:\s*/, '');
+  if (!title) return null;
+  const abstract = textOf(document.querySelector('blockquote.abstract')).replace(/^Abstract:\s*/, '')
+    || metaAll('citation_abstract')[0] || '';
+
+  const fields = {
+    arxivId: metaAll('citation_arxiv_id')[0] || window.location.pathname.replace(/^\/abs\//, ''),
+    title,
+    authors: metaAll('citation_author'),
+    date: metaAll('citation_date')[0] || '',
+    subjects: textOf(document.querySelector('.tablecell.subjects')),
+    pdfUrl: metaAll('citation_pdf_url')[0] || '',
+  };
+  const lines = [`# ${title}`, '', fields.authors.join(', '), ''];
+  if (fields.subjects) lines.push(`Subjects: ${fields.subjects}`, '');
+  lines.push('## Abstract', '', abstract);
+  return { fields, markdown: lines.join('\n') };
+}
+
+function textOf(el) {
+  return (el?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function formatDuration(sec) {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = String(sec % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
@@ -0,0 +1,200 @@
+// StarkChrome v2 — Markdown Renderer
+// Turns an article element (from readability.js) into Markdown — headings,
+// lists, links, block quotes, code blocks, simple tables — or, with
+// { markdown: false }, into plain text with the same paragraph breaks.
+// Also used by the site extractors in extractor.js for post and comment bodies.
+
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA']);
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION',
+  'SUMMARY', 'TABLE', 'UL',
+]);
+
+// Element → Markdown (or plain text with { markdown: false })
+function renderMarkdown(root, { markdown = true } = {}) {
+  const out = renderBlocks(root, { markdown, depth: 0 });
+  return out
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Markdown → plain text (for Markdown composed by the site extractors)
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^(```|~~~).*$/gm, '')
+    .replace(/^#{1,6} /gm, '')
+    .replace(/^> ?/gm, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|~~|`)(.+?)\1/g, '$2')
+    .replace(/(^|\W)\*(\S.*?)\*/g, '$1$2')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ============================================================
+// BLOCKS
+// ============================================================
+
+function renderBlocks(node, ctx) {
+  let out = '';
+  let inline = '';
+  const flush = () => {
+    const text = inline.replace(/\s+/g, ' ').trim();
+    if (text) out += `${text}\n\n`;
+    inline = '';
+  };
+
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      inline += child.textContent;
+    } else if (child.nodeType === Node.ELEMENT_NODE && !SKIP_TAGS.has(child.tagName)) {
+      if (BLOCK_TAGS.has(child.tagName)) {
+        flush();
+        out += renderBlock(child, ctx);
+      } else {
+        inline += renderInline(child, ctx);
+      }
+    }
+  }
+  flush();
+  return out;
+}
+
+function renderBlock(el, ctx) {
+  const tag = el.tagName;
+  switch (tag) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+      const text = inlineText(el, ctx);
+      if (!text) return '';
+      return ctx.markdown ? `${'#'.repeat(Number(tag[1]))} ${text}\n\n` : `${text}\n\n`;
+    }
+    case 'P': case 'DT': case 'SUMMARY': case 'FIGCAPTION': {
+      const text = inlineText(el, ctx);
+      return text ? `${text}\n\n` : '';
+    }
+    case 'PRE':
+      return renderCode(el, ctx);
+    case 'BLOCKQUOTE': {
+      const inner = renderBlocks(el, ctx).trim();
+      if (!inner) return '';
+      return ctx.markdown ? `${inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n` : `${inner}\n\n`;
+    }
+    case 'UL': case 'OL':
+      return renderList(el, ctx);
+    case 'TABLE':
+      return renderTable(el, ctx);
+    case 'HR':
+      return ctx.markdown ? '---\n\n' : '\n';
+    default:
+      return renderBlocks(el, ctx);
+  }
+}
+
+function renderCode(el, ctx) {
+  const code = el.textContent.replace(/\n+$/, '');
+  if (!code.trim()) return '';
+  if (!ctx.markdown) return `${code}\n\n`;
+  const hint = `${el.className} ${el.querySelector('code')?.className || ''}`;
+  const lang = hint.match(/(?:lang|language)-([\w+#-]+)/)?.[1] || '';
+  const fence = code.includes('```') ? '~~~' : '```';
+  return `${fence}${lang}\n${code}\n${fence}\n\n`;
+}
+
+function renderList(el, ctx) {
+  const indent = '  '.repeat(ctx.depth);
+  const start = Number(el.getAttribute('start')) || 1;
+  let out = '';
+  let n = 0;
+  for (const item of el.children) {
+    if (item.tagName !== 'LI') continue;
+    const marker = el.tagName === 'OL' ? `${start + n}.` : '-';
+    n++;
+    const body = renderBlocks(item, { ...ctx, depth: ctx.depth + 1 }).trim();
+    if (!body) continue;
+    // First line beside the marker; nested lines keep their own indentation
+    const [first, ...rest] = body.split('\n').filter(line => line.trim());
+    out += `${indent}${marker} ${first.trim()}\n`;
+    for (const line of rest) out += /^\s*([-*]|\d+\.) /.test(line) ? `${line}\n` : `${indent}  ${line.trim()}\n`;
+  }
+  return out ? `${out}\n` : '';
+}
+
+function renderTable(el, ctx) {
+  const rows = [...el.querySelectorAll('tr')]
+    .map(tr => [...tr.children].map(cell => inlineText(cell, ctx).replace(/\|/g, '\\|')))
+    .filter(cells => cells.some(Boolean));
+  if (rows.length === 0) return '';
+  if (!ctx.markdown) return `${rows.map(cells => cells.join('\t')).join('\n')}\n\n`;
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  const [head, ...body] = rows;
+  return `${[line(head), line(Array(width).fill('---')), ...body.map(line)].join('\n')}\n\n`;
+}
+
+// ============================================================
+// INLINE
+// ============================================================
+
+function inlineText(el, ctx) {
+  let text = '';
+  for (const child of el.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) text += child.textContent;
+    else if (child.nodeType === Node.ELEMENT_NODE && !SKIP_TAGS.has(child.tagName)) {
+      text += BLOCK_TAGS.has(child.tagName) ? ` ${inlineText(child, ctx)} ` : renderInline(child, ctx);
+    }
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function renderInline(el, ctx) {
+  const tag = el.tagName;
+  if (tag === 'BR') return ' ';
+  if (tag === 'IMG') {
+    const alt = (el.getAttribute('alt') || '').trim();
+    const src = absoluteUrl(el.getAttribute('src'));
+    return ctx.markdown && alt && src ? `![${alt}](${src})` : '';
+  }
+
+  const text = inlineText(el, ctx);
+  if (!text) return '';
+  return keepSpacing(el, ctx.markdown ? decorate(el, text) : text);
+}
+
+function decorate(el, text) {
+  switch (el.tagName) {
+    case 'A': {
+      const href = absoluteUrl(el.getAttribute('href'));
+      return href ? `[${text}](${href})` : text;
+    }
+    case 'STRONG': case 'B':
+      return `**${text}**`;
+    case 'EM': case 'I':
+      return `*${text}*`;
+    case 'CODE': case 'KBD': case 'SAMP':
+      return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+    case 'DEL': case 'S':
+      return `~~${text}~~`;
+    default:
+      return text;
+  }
+}
+
+// Whitespace just inside an inline element still separates words
+function keepSpacing(el, text) {
+  const raw = el.textContent;
+  return `${/^\s/.test(raw) ? ' ' : ''}${text}${/\s$/.test(raw) ? ' ' : ''}`;
+}
+
+// Only http(s) links are worth keeping; in-page anchors and javascript: are not
+function absoluteUrl(href) {
+  if (!href || href.startsWith('#')) return '';
+  try {
+    const url = new URL(href, document.baseURI);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,32 @@
+// StarkChrome v2 — Media Playback Signal
+// Tells the service worker when media on this page starts or stops playing,
+// so watching or listening in a background tab counts as passive time.
+// Complements the tab's audible flag, which drops out during quiet passages.
+//
+// Only media that could be "watched": unmuted and at least a minute long
+// (or a live stream). Muted autoplay loops and short clips don't count.
+
+const MIN_MEDIA_SECONDS = 60;
+let mediaPlaying = false;
+
+function isWatchable(el) {
+  if (el.paused || el.ended || el.muted || el.volume === 0) return false;
+  return el.duration === Infinity || el.duration >= MIN_MEDIA_SECONDS;
+}
+
+function updateMediaState() {
+  const now = [...document.querySelectorAll('video, audio')].some(isWatchable);
+  if (now === mediaPlaying) return;
+  mediaPlaying = now;
+  chrome.runtime.sendMessage({ action: 'mediaState', playing: mediaPlaying }).catch(() => {});
+}
+
+// Media events don't bubble — listen in the capture phase
+for (const type of ['playing', 'pause', 'ended', 'emptied', 'volumechange']) {
+  document.addEventListener(type, updateMediaState, true);
+}
+window.addEventListener('pagehide', () => {
+  if (!mediaPlaying) return;
+  mediaPlaying = false;
+  chrome.runtime.sendMessage({ action: 'mediaState', playing: false }).catch(() => {});
+});
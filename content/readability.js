@@ -0,0 +1,122 @@
+// StarkChrome v2 — Article Finder
+// Readability-style scoring: paragraphs vote for their ancestors by how much
+// prose they hold (length, commas), containers are weighted by tag and by
+// class/id hints, and link-heavy blocks are discounted. The best-scoring
+// container — plus siblings that look like part of the same article — is the
+// article. Used by extractor.js; rendered by markdown.js.
+
+const UNLIKELY = /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+const MAYBE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const STRIP_TAGS = 'script, style, noscript, iframe, svg, canvas, form, button, input, select, textarea, nav, footer, aside, dialog, template, object, embed';
+const PARAGRAPH_TAGS = new Set(['P', 'PRE', 'TD', 'BLOCKQUOTE', 'LI']);
+const BLOCK_CHILDREN = 'a, blockquote, dl, div, img, ol, p, pre, table, ul, section, article, h1, h2, h3, h4, h5, h6';
+const MIN_PARAGRAPH_CHARS = 25;
+const MIN_ARTICLE_CHARS = 200;
+
+// Returns a detached element holding the article (falls back to the whole body)
+function findArticle(doc = document) {
+  const body = doc.body.cloneNode(true);
+  prune(body);
+
+  const scores = new Map();   // element → score
+  for (const el of body.querySelectorAll('*')) {
+    if (!isParagraph(el)) continue;
+    const text = innerTextOf(el);
+    if (text.length < MIN_PARAGRAPH_CHARS) continue;
+
+    const points = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = el.parentElement;
+    for (let level = 0; ancestor && level < 3; level++, ancestor = ancestor.parentElement) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + points / (level === 0 ? 1 : level * 2));
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+  if (!top || innerTextOf(top).length < MIN_ARTICLE_CHARS) return cleanArticle(body);
+
+  // Siblings that belong with the top candidate (intro, continuation blocks)
+  const article = doc.createElement('div');
+  const threshold = Math.max(10, topScore * 0.2);
+  for (const sibling of [...(top.parentElement?.children || [top])]) {
+    if (sibling === top || (scores.get(sibling) || 0) >= threshold || isProseParagraph(sibling)) {
+      article.appendChild(sibling);
+    }
+  }
+  return cleanArticle(article);
+}
+
+// Remove what is never content: scripts, chrome, hidden and unlikely blocks
+function prune(root) {
+  root.querySelectorAll(STRIP_TAGS).forEach(el => el.remove());
+  root.querySelectorAll('[hidden], [aria-hidden="true"], [style*="display:none"], [style*="display: none"]')
+    .forEach(el => el.remove());
+  for (const el of [...root.querySelectorAll('*')]) {
+    if (!root.contains(el) || el.tagName === 'BODY' || el.tagName === 'ARTICLE' || el.tagName === 'MAIN') continue;
+    const hint = `${el.className && typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    if (UNLIKELY.test(hint) && !MAYBE.test(hint)) el.remove();
+  }
+}
+
+// Drop leftover link lists and empty shells inside the chosen article
+function cleanArticle(root) {
+  for (const el of [...root.querySelectorAll('ul, ol, div, section, table')]) {
+    if (!root.contains(el)) continue;   // an ancestor was already removed
+    const text = innerTextOf(el);
+    if (el.querySelector('pre, img') && text.length > 0) continue;
+    if (text.length === 0 || (linkDensity(el) > 0.5 && text.length < 500)) el.remove();
+  }
+  return root;
+}
+
+// Paragraph-like: <p>/<pre>/<td>/<blockquote>/<li>, or a <div> with no block children
+function isParagraph(el) {
+  if (PARAGRAPH_TAGS.has(el.tagName)) return true;
+  return el.tagName === 'DIV' && !el.querySelector(BLOCK_CHILDREN);
+}
+
+function isProseParagraph(el) {
+  if (el.tagName !== 'P') return false;
+  const text = innerTextOf(el);
+  return (text.length > 80 && linkDensity(el) < 0.25) || (text.length > 0 && linkDensity(el) === 0 && /\.( |$)/.test(text));
+}
+
+function initialScore(el) {
+  let score = 0;
+  switch (el.tagName) {
+    case 'ARTICLE': score += 10; break;
+    case 'DIV': case 'SECTION': case 'MAIN': score += 5; break;
+    case 'PRE': case 'TD': case 'BLOCKQUOTE': score += 3; break;
+    case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': score -= 3; break;
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': score -= 5; break;
+  }
+  const hint = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+  if (NEGATIVE.test(hint)) score -= 25;
+  if (POSITIVE.test(hint)) score += 25;
+  return score;
+}
+
+// Share of an element's text that sits inside links
+function linkDensity(el) {
+  const length = innerTextOf(el).length;
+  if (length === 0) return 0;
+  let linked = 0;
+  for (const a of el.querySelectorAll('a')) linked += innerTextOf(a).length;
+  return linked / length;
+}
+
+function innerTextOf(el) {
+  return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,76 @@
+// StarkChrome v2 — Sensitive Page Classifier
+// Decides, before anything is extracted, whether a page is one whose text
+// shouldn't be read at all: sign-in and password-reset pages, checkouts,
+// editors the user is typing into (webmail compose, docs), admin consoles.
+// Only what the user can see counts — a login form hidden in a site header
+// doesn't make an article sensitive. Used by extractor.js.
+//
+// classifySensitivity() → { level, reasons }:
+//   'none'     — extract as usual
+//   'metadata' — title and page metadata only, no text
+//   'blocked'  — nothing beyond the title and URL
+
+const PASSWORD_AUTOCOMPLETE = new Set(['current-password', 'new-password', 'one-time-code']);
+const PAYMENT_AUTOCOMPLETE = /^cc-|^transaction-/;
+const PERSONAL_AUTOCOMPLETE = /^(street-address|address-line\d|address-level\d|postal-code|country|tel|tel-national|bday|email|given-name|family-name|name)$/;
+const PAYMENT_FIELD = /card.?num|cc.?num|credit.?card|cvv|cvc|\bcsc\b|security.?code|expir|iban|routing.?num|account.?num/i;
+const PAYMENT_FRAMES = 'iframe[src*="js.stripe.com"], iframe[name^="__privateStripeFrame"], iframe[src*="braintreegateway.com"], iframe[src*="adyen.com"], iframe[src*="checkout.com"], iframe[src*="paypal.com/checkout"]';
+const EDITOR_ROOTS = '[contenteditable=""], [contenteditable="true"], [contenteditable="plaintext-only"]';
+const PASSWORD_RESET_PATH = /(forgot|reset|recover|change)[-_]?(your[-_]?)?password|password[-_/]?(reset|recovery|change)|\/(signin|sign-in|login|log-in)(\/|$)/i;
+const ADMIN_PATH = /\/(admin|wp-admin|administrator|phpmyadmin|cpanel)(\/|$)/i;
+const ADMIN_HOSTS = /^(admin|console|portal)\.|^(console\.aws\.amazon\.com|console\.cloud\.google\.com|portal\.azure\.com|dash\.cloudflare\.com|dashboard\.stripe\.com|app\.netlify\.com)$/;
+
+const MIN_PERSONAL_FIELDS = 3;          // a form asking for this many address/contact fields
+const EDITOR_AREA_SHARE = 0.25;         // editable area vs. the viewport
+const EDITOR_TEXT_SHARE = 0.4;          // editable text vs. the page's text
+
+function classifySensitivity(doc = document) {
+  const blocked = new Set();
+  const metadata = new Set();
+
+  // Forms: password / payment / personal-data fields the user can see
+  let personalFields = 0;
+  for (const input of doc.querySelectorAll('input, select, textarea')) {
+    if (input.type === 'hidden' || !isVisible(input)) continue;
+    const autocomplete = (input.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/).pop();
+    if (input.type === 'password') blocked.add('password-field');
+    if (PASSWORD_AUTOCOMPLETE.has(autocomplete)) blocked.add(`autocomplete:${autocomplete}`);
+    if (PAYMENT_AUTOCOMPLETE.test(autocomplete)) blocked.add(`autocomplete:${autocomplete}`);
+    else if (PAYMENT_FIELD.test(`${input.name} ${input.id}`)) blocked.add('payment-field');
+    if (PERSONAL_AUTOCOMPLETE.test(autocomplete)) personalFields++;
+  }
+  if ([...doc.querySelectorAll(PAYMENT_FRAMES)].some(isVisible)) blocked.add('payment-frame');
+  if (personalFields >= MIN_PERSONAL_FIELDS) metadata.add('personal-data-form');
+
+  const url = new URL(doc.location.href);
+  if (PASSWORD_RESET_PATH.test(url.pathname)) blocked.add('sign-in-url');
+  if (ADMIN_PATH.test(url.pathname) || ADMIN_HOSTS.test(url.hostname)) metadata.add('admin-console');
+  if (isEditorHeavy(doc)) metadata.add('editor');
+
+  if (blocked.size > 0) return { level: 'blocked', reasons: [...blocked, ...metadata] };
+  if (metadata.size > 0) return { level: 'metadata', reasons: [...metadata] };
+  return { level: 'none', reasons: [] };
+}
+
+// Editable regions that take up much of the screen or hold much of the text
+function isEditorHeavy(doc) {
+  const viewport = window.innerWidth * window.innerHeight || 1;
+  const pageText = (doc.body?.innerText || '').length || 1;
+  let area = 0;
+  let text = 0;
+  for (const el of doc.querySelectorAll(EDITOR_ROOTS)) {
+    // Count outermost editors only (contenteditable nests)
+    if (el.parentElement?.closest(EDITOR_ROOTS) || !isVisible(el)) continue;
+    const rect = el.getBoundingClientRect();
+    area += Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0))
+      * Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+    text += (el.innerText || '').length;
+  }
+  return area / viewport >= EDITOR_AREA_SHARE || text / pageText >= EDITOR_TEXT_SHARE;
+}
+
+function isVisible(el) {
+  if (el.getClientRects().length === 0) return false;
+  const style = getComputedStyle(el);
+  return style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+}
@@ -0,0 +1,110 @@
+// StarkChrome v2 — Offscreen PDF Reader
+// Created on demand by background/pdf.js. Fetches a PDF (with the user's
+// cookies, so intranet specs work) and extracts its text and metadata with
+// the bundled pdf.js. Replies in the content script's shape, as kind 'pdf'.
+
+import * as pdfjs from '../lib/pdfjs/pdf.min.mjs';
+
+pdfjs.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdfjs/pdf.worker.min.mjs');
+
+const MAX_BYTES = 30 * 1024 * 1024;   // Skip PDFs over 30MB
+const MAX_PAGES = 50;                 // Read at most the first 50 pages
+const MAX_TEXT = 5000;                // Same caps as content/extractor.js
+const MAX_MARKDOWN = 10000;
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.target !== 'offscreen') return;
+  // Only answered once pdf.js has loaded (it's a static import above)
+  if (msg.type === 'ping') {
+    sendResponse({ ready: true });
+    return;
+  }
+  if (msg.type !== 'extract_pdf') return;
+  extractPdf(msg.url)
+    .then(content => sendResponse({ success: true, content }))
+    .catch(e => sendResponse({ success: false, reason: e.message }));
+  return true;
+});
+
+async function extractPdf(url) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  if (Number(response.headers.get('content-length')) > MAX_BYTES) throw new Error('PDF too large');
+  const data = new Uint8Array(await response.arrayBuffer());
+  if (data.byteLength > MAX_BYTES) throw new Error('PDF too large');
+
+  // No eval under the extension CSP
+  const doc = await pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+  try {
+    const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+    const paragraphs = [];
+    for (let n = 1; n <= Math.min(doc.numPages, MAX_PAGES); n++) {
+      const page = await doc.getPage(n);
+      paragraphs.push(...pageParagraphs(await page.getTextContent()));
+      page.cleanup();
+      if (paragraphs.join('\n\n').length > MAX_MARKDOWN) break;
+    }
+
+    const u = new URL(url);
+    const title = (info?.Title || '').trim() || decodeURIComponent(u.pathname.split('/').pop() || u.hostname);
+    const text = paragraphs.join('\n\n');
+    return {
+      meta: {
+        title,
+        description: (info?.Subject || '').trim(),
+        author: (info?.Author || '').trim(),
+        publishDate: pdfDate(info?.CreationDate),
+        url,
+        domain: u.hostname,
+      },
+      kind: 'pdf',
+      fields: { pageCount: doc.numPages },
+      text: text.slice(0, MAX_TEXT),
+      markdown: clip(`# ${title}\n\n${text}`, MAX_MARKDOWN),
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      extractedAt: Date.now(),
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// Text items → paragraphs. Lines are joined (re-joining hyphenated words);
+// a vertical gap wider than ~1.5 lines starts a new paragraph.
+function pageParagraphs(textContent) {
+  const paragraphs = [];
+  let current = '';
+  let lastY = null;
+  let lineHeight = 12;
+
+  for (const item of textContent.items) {
+    if (typeof item.str !== 'string') continue;
+    const y = item.transform[5];
+    if (item.height > 0) lineHeight = item.height;
+    if (lastY !== null && Math.abs(lastY - y) > lineHeight * 1.5 && current.trim()) {
+      paragraphs.push(current);
+      current = '';
+    }
+    if (item.str) {
+      current = /\w-$/.test(current) ? current.slice(0, -1) + item.str : current + item.str;
+      lastY = y;
+    }
+    if (item.hasEOL && current && !current.endsWith('-')) current += ' ';
+  }
+  if (current.trim()) paragraphs.push(current);
+  return paragraphs.map(p => p.replace(/\s+/g, ' ').trim()).filter(p => p.length > 1);
+}
+
+// "D:20240131120000Z" → ISO date
+function pdfDate(value) {
+  const date = value ? pdfjs.PDFDateString.toDateObject(value) : null;
+  return date ? date.toISOString() : '';
+}
+
+// Cut at a paragraph boundary
+function clip(markdown, max) {
+  if (markdown.length <= max) return markdown;
+  const cut = markdown.slice(0, max);
+  const end = cut.lastIndexOf('\n\n');
+  return end > max / 2 ? cut.slice(0, end) : cut;
+}
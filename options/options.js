@@ -1,5 +1,10 @@
 // StarkChrome v2 — Options Page
 
+const ENCRYPTION_ERRORS = {
+  passphrase_too_short: 'Use at least 8 characters',
+  wrong_passphrase: 'Wrong passphrase',
+};
+
 function sanitize(raw) {
   return raw.trim().split(/[\s\u2022]/)[0].replace(/[^\x20-\x7E]/g, '').trim();
 }
@@ -16,12 +21,28 @@ document.addEventListener('DOMContentLoaded', async () => {
     sendBookmarks: document.getElementById('sendBookmarks'),
     sendDownloads: document.getElementById('sendDownloads'),
     sendComeback: document.getElementById('sendComeback'),
+    pathDepths: document.getElementById('pathDepths'),
     trackIncognito: document.getElementById('trackIncognito'),
     blocklist: document.getElementById('blocklist'),
-    retention: document.getElementById('retention'),
+    redactionRules: document.querySelectorAll('[data-redaction-rule]'),
+    redactionPatterns: document.getElementById('redactionPatterns'),
+    retentionEvents: document.getElementById('retentionEvents'),
+    retentionContent: document.getElementById('retentionContent'),
+    retentionRollups: document.getElementById('retentionRollups'),
     eventCount: document.getElementById('eventCount'),
     storageKB: document.getElementById('storageKB'),
+    storageBreakdown: document.getElementById('storageBreakdown'),
+    schemaStatus: document.getElementById('schemaStatus'),
     exportBtn: document.getElementById('exportBtn'),
+    importBtn: document.getElementById('importBtn'),
+    importFile: document.getElementById('importFile'),
+    importResult: document.getElementById('importResult'),
+    exportFrom: document.getElementById('exportFrom'),
+    exportTo: document.getElementById('exportTo'),
+    exportFormat: document.getElementById('exportFormat'),
+    exportTypes: document.getElementById('exportTypes'),
+    exportRangeBtn: document.getElementById('exportRangeBtn'),
+    exportResult: document.getElementById('exportResult'),
     clearBtn: document.getElementById('clearBtn'),
     digestBtn: document.getElementById('digestBtn'),
     statsSent: document.getElementById('statsSent'),
@@ -34,6 +55,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     testLoggerResult: document.getElementById('testLoggerResult'),
     loggerSent: document.getElementById('loggerSent'),
     loggerFailed: document.getElementById('loggerFailed'),
+    encryptionStatus: document.getElementById('encryptionStatus'),
+    passphrase: document.getElementById('passphrase'),
+    passphraseConfirm: document.getElementById('passphraseConfirm'),
+    passphraseConfirmGroup: document.getElementById('passphraseConfirmGroup'),
+    enableEncryptionBtn: document.getElementById('enableEncryptionBtn'),
+    unlockBtn: document.getElementById('unlockBtn'),
+    lockBtn: document.getElementById('lockBtn'),
+    disableEncryptionBtn: document.getElementById('disableEncryptionBtn'),
+    encryptionResult: document.getElementById('encryptionResult'),
     saveBtn: document.getElementById('saveBtn'),
     toast: document.getElementById('toast'),
   };
@@ -112,25 +142,128 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   els.saveBtn.addEventListener('click', async () => {
-    await save();
-    toast('Saved');
+    const { skippedPatterns } = await save();
+    toast(skippedPatterns > 0 ? `Saved — skipped ${skippedPatterns} invalid redaction pattern(s)` : 'Saved');
   });
 
   els.exportBtn.addEventListener('click', async () => {
-    const result = await chrome.storage.local.get('eventLog');
-    const data = { version: '2.0', exportedAt: new Date().toISOString(), events: result.eventLog || [] };
+    const data = await chrome.runtime.sendMessage({ action: 'exportEvents' });
+    if (data.success === false) {
+      toast(data.reason === 'locked' ? 'Unlock encryption to export' : `Export failed: ${data.reason}`);
+      return;
+    }
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `starkchrome-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    download(blob, `starkchrome-${new Date().toISOString().split('T')[0]}.json`);
+  });
+
+  els.exportRangeBtn.addEventListener('click', async () => {
+    const boxes = [...els.exportTypes.querySelectorAll('input')];
+    const types = boxes.filter(i => i.checked).map(i => i.value);
+    if (types.length === 0) {
+      els.exportResult.textContent = 'Pick at least one event type';
+      els.exportResult.className = 'result err';
+      return;
+    }
+    els.exportRangeBtn.disabled = true;
+    els.exportResult.textContent = 'Exporting...';
+    els.exportResult.className = 'result';
+    try {
+      const r = await chrome.runtime.sendMessage({
+        action: 'exportData',
+        from: els.exportFrom.value || undefined,
+        to: els.exportTo.value || undefined,
+        format: els.exportFormat.value,
+        // Everything checked → no filter, so types without a box are kept too
+        types: types.length === boxes.length ? undefined : types,
+      });
+      if (r.success) {
+        const body = r.encoding === 'base64' ? Uint8Array.from(atob(r.data), c => c.charCodeAt(0)) : r.data;
+        download(new Blob([body], { type: r.mime }), r.filename);
+        els.exportResult.textContent = `Saved ${r.filename}`;
+        els.exportResult.className = 'result ok';
+      } else {
+        els.exportResult.textContent = `Export failed: ${r.reason}`;
+        els.exportResult.className = 'result err';
+      }
+    } catch (e) {
+      els.exportResult.textContent = `Export failed: ${e.message}`;
+      els.exportResult.className = 'result err';
+    }
+    els.exportRangeBtn.disabled = false;
+  });
+
+  els.importBtn.addEventListener('click', () => els.importFile.click());
+
+  els.importFile.addEventListener('change', async () => {
+    const file = els.importFile.files[0];
+    els.importFile.value = '';
+    if (!file) return;
+    els.importResult.textContent = 'Importing...';
+    els.importResult.className = 'result';
+    try {
+      const archive = JSON.parse(await file.text());
+      const r = await chrome.runtime.sendMessage({ action: 'importArchive', archive });
+      if (r.success) {
+        els.importResult.textContent = `Imported ${r.added} events (${r.skipped} already present), ${r.pagesRestored} pages`;
+        els.importResult.className = 'result ok';
+        await load();
+      } else {
+        els.importResult.textContent = `Import failed: ${r.reason}`;
+        els.importResult.className = 'result err';
+      }
+    } catch (e) {
+      els.importResult.textContent = `Import failed: ${e instanceof SyntaxError ? 'not a JSON file' : e.message}`;
+      els.importResult.className = 'result err';
+    }
+  });
+
+  els.enableEncryptionBtn.addEventListener('click', async () => {
+    if (els.passphrase.value !== els.passphraseConfirm.value) {
+      els.encryptionResult.textContent = 'Passphrases don\'t match';
+      els.encryptionResult.className = 'result err';
+      return;
+    }
+    await encryptionAction('enableEncryption', els.enableEncryptionBtn, 'Encrypting...', 'Encryption on');
+  });
+
+  els.unlockBtn.addEventListener('click', () =>
+    encryptionAction('unlockStore', els.unlockBtn, 'Unlocking...', 'Unlocked'));
+
+  els.lockBtn.addEventListener('click', () =>
+    encryptionAction('lockStore', els.lockBtn, 'Locking...', 'Locked'));
+
+  els.disableEncryptionBtn.addEventListener('click', async () => {
+    if (!confirm('Decrypt all stored data and turn encryption off?')) return;
+    await encryptionAction('disableEncryption', els.disableEncryptionBtn, 'Decrypting...', 'Encryption off');
   });
 
+  async function encryptionAction(action, btn, busyText, doneText) {
+    btn.disabled = true;
+    els.encryptionResult.textContent = busyText;
+    els.encryptionResult.className = 'result';
+    try {
+      const r = await chrome.runtime.sendMessage({ action, passphrase: els.passphrase.value });
+      if (r.success) {
+        els.encryptionResult.textContent = doneText;
+        els.encryptionResult.className = 'result ok';
+        els.passphrase.value = '';
+        els.passphraseConfirm.value = '';
+        await load();
+      } else {
+        els.encryptionResult.textContent = ENCRYPTION_ERRORS[r.reason] || `Failed: ${r.reason}`;
+        els.encryptionResult.className = 'result err';
+      }
+    } catch (e) {
+      els.encryptionResult.textContent = `Failed: ${e.message}`;
+      els.encryptionResult.className = 'result err';
+    }
+    btn.disabled = false;
+  }
+
   els.clearBtn.addEventListener('click', async () => {
     if (confirm('Clear all local event data? This cannot be undone.')) {
-      await chrome.storage.local.remove(['eventLog', 'storeMeta', 'webhookStats']);
+      await chrome.runtime.sendMessage({ action: 'clearStore' });
+      await chrome.storage.local.remove('webhookStats');
       await load();
       toast('Data cleared');
     }
@@ -150,10 +283,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   async function load() {
-    const result = await chrome.storage.local.get(['config', 'privacy', 'storeMeta', 'webhookStats', 'loggerConfig', 'loggerStats']);
+    const result = await chrome.storage.local.get(['config', 'privacy', 'webhookStats', 'loggerConfig', 'loggerStats']);
     const config = result.config || {};
     const privacy = result.privacy || {};
-    const meta = result.storeMeta || {};
     const stats = result.webhookStats || {};
     const loggerConfig = result.loggerConfig || {};
     const loggerStats = result.loggerStats || {};
@@ -170,23 +302,40 @@ document.addEventListener('DOMContentLoaded', async () => {
     els.sendBookmarks.checked = config.sendBookmarks !== false;
     els.sendDownloads.checked = config.sendDownloads !== false;
     els.sendComeback.checked = config.sendComeback !== false;
+    els.pathDepths.value = Object.entries(config.pathDepths || {}).map(([d, n]) => `${d} ${n}`).join('\n');
 
     els.trackIncognito.checked = privacy.trackIncognito || false;
     els.blocklist.value = (privacy.domainBlocklist || []).join('\n');
+    const redaction = privacy.redaction || {};
+    for (const select of els.redactionRules) {
+      const action = redaction.rules?.[select.dataset.redactionRule];
+      if (action) select.value = action;
+    }
+    els.redactionPatterns.value = (redaction.custom || [])
+      .map(p => `${p.name} /${p.pattern}/${p.flags || ''} ${p.action}`).join('\n');
 
     // Store stats
     try {
       const status = await chrome.runtime.sendMessage({ action: 'getStatus' });
       els.eventCount.textContent = (status.store?.eventCount || 0).toLocaleString();
       els.storageKB.textContent = status.store?.estimatedSizeKB || 0;
+      els.storageBreakdown.textContent = formatBreakdown(status.storage);
+      const schema = status.schema || {};
+      els.schemaStatus.textContent = schema.ok === false
+        ? `Storage upgrade failed at step ${schema.failedStep}: ${schema.error}. Settings and stored pages were restored to before that step; the upgrade resumes from it on next start.`
+        : `Storage schema v${schema.version || 0}`;
+      els.schemaStatus.style.color = schema.ok === false ? '#ef4444' : '';
+      renderEncryption(status.encryption || {});
     } catch (e) {
       els.eventCount.textContent = '?';
       els.storageKB.textContent = '?';
     }
 
-    // Retention
-    const retResult = await chrome.storage.local.get('storeRetention');
-    els.retention.value = retResult.storeRetention || 90;
+    // Retention (per data type)
+    const { retention } = await chrome.storage.local.get('retention');
+    els.retentionEvents.value = retention?.events || 90;
+    els.retentionContent.value = retention?.content || 30;
+    els.retentionRollups.value = retention?.rollups || 365;
 
     els.statsSent.textContent = stats.sent || 0;
     els.statsFailed.textContent = stats.failed || 0;
@@ -204,14 +353,20 @@ document.addEventListener('DOMContentLoaded', async () => {
       sendBookmarks: els.sendBookmarks.checked,
       sendDownloads: els.sendDownloads.checked,
       sendComeback: els.sendComeback.checked,
+      pathDepths: parsePathDepths(els.pathDepths.value),
     };
 
     // Preserve the master toggle state from popup (don't override it)
     const existingPrivacy = (await chrome.storage.local.get('privacy')).privacy || {};
+    const redactionPatterns = parseRedactionPatterns(els.redactionPatterns.value);
     const privacy = {
       enabled: existingPrivacy.enabled !== false,
       trackIncognito: els.trackIncognito.checked,
       domainBlocklist: els.blocklist.value.split('\n').map(s => s.trim()).filter(Boolean),
+      redaction: {
+        rules: Object.fromEntries([...els.redactionRules].map(select => [select.dataset.redactionRule, select.value])),
+        custom: redactionPatterns.patterns,
+      },
     };
 
     const loggerConfig = {
@@ -220,8 +375,89 @@ document.addEventListener('DOMContentLoaded', async () => {
       loggerEnabled: els.loggerEnabled.checked,
     };
 
-    const retention = parseInt(els.retention.value) || 90;
-    await chrome.storage.local.set({ config, privacy, loggerConfig, storeRetention: retention });
+    const retention = {
+      events: parseInt(els.retentionEvents.value) || 90,
+      content: parseInt(els.retentionContent.value) || 30,
+      rollups: parseInt(els.retentionRollups.value) || 365,
+    };
+    await chrome.storage.local.set({ config, privacy, loggerConfig, retention });
+    return { skippedPatterns: redactionPatterns.skipped };
+  }
+
+  // "github.com 2" lines → { 'github.com': 2 }
+  function parsePathDepths(text) {
+    const depths = {};
+    for (const line of text.split('\n')) {
+      const m = line.trim().match(/^(?:https?:\/\/)?(?:www\.)?([^\s/]+)\s+(\d+)$/i);
+      if (m) depths[m[1].toLowerCase()] = Math.min(parseInt(m[2]), 10);
+    }
+    return depths;
+  }
+
+  // "employee-id /EMP-\d{6}/i mask" lines → { patterns: [{ name, pattern, flags, action }], skipped };
+  // lines that don't parse, don't compile or match empty text are skipped
+  function parseRedactionPatterns(text) {
+    const patterns = [];
+    let skipped = 0;
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      const m = line.trim().match(/^(\S+)\s+\/(.+)\/([imsu]*)\s+(mask|drop)$/i);
+      let valid = Boolean(m);
+      try {
+        if (valid && new RegExp(m[2], m[3]).test('')) valid = false;
+      } catch (e) {
+        valid = false;
+      }
+      if (!valid) {
+        skipped++;
+        continue;
+      }
+      patterns.push({ name: m[1], pattern: m[2], flags: m[3], action: m[4].toLowerCase() });
+    }
+    return { patterns, skipped };
+  }
+
+  // Show the controls that apply to the current encryption state
+  function renderEncryption({ enabled, locked }) {
+    els.encryptionStatus.textContent = !enabled
+      ? 'Off — stored data is not encrypted.'
+      : locked
+        ? 'On — locked. New activity is still recorded; unlock to read it.'
+        : 'On — unlocked until the browser closes.';
+    els.passphraseConfirmGroup.hidden = enabled;
+    els.enableEncryptionBtn.hidden = enabled;
+    els.unlockBtn.hidden = !enabled || !locked;
+    els.lockBtn.hidden = !enabled || locked;
+    els.disableEncryptionBtn.hidden = !enabled;
+  }
+
+  // "Events 1.2 MB · Page content 640 KB · …" from the getStatus storage breakdown
+  function formatBreakdown(storage) {
+    if (!storage) return '';
+    const parts = [
+      ['Events', storage.events],
+      ['Page content', storage.content],
+      ['Daily summaries', storage.rollups],
+      ['Search index', storage.searchIndex],
+      ['Settings & state', storage.other],
+    ].map(([label, s]) => `${label} ${formatBytes(s?.bytes || 0)}`);
+    const quota = storage.chromeStorage;
+    if (quota?.quota) parts.push(`${Math.round(quota.bytes / quota.quota * 100)}% of extension storage used`);
+    return parts.join(' · ');
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
   }
 
   function toast(msg) {
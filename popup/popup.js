@@ -4,6 +4,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   const masterToggle = document.getElementById('masterToggle');
   const dot = document.getElementById('dot');
   const connectionLabel = document.getElementById('connectionLabel');
+  const activeToday = document.getElementById('activeToday');
+  const topSiteToday = document.getElementById('topSiteToday');
   const eventCount = document.getElementById('eventCount');
   const storageSize = document.getElementById('storageSize');
   const webhooksSent = document.getElementById('webhooksSent');
@@ -12,6 +14,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   const importBtn = document.getElementById('importBtn');
   const optionsBtn = document.getElementById('optionsBtn');
   const actionStatus = document.getElementById('actionStatus');
+  const searchInput = document.getElementById('searchInput');
+  const searchResults = document.getElementById('searchResults');
+  const unlockForm = document.getElementById('unlockForm');
+  const unlockPassphrase = document.getElementById('unlockPassphrase');
+  const unlockBtn = document.getElementById('unlockBtn');
+  const unlockStatus = document.getElementById('unlockStatus');
 
   await refresh();
 
@@ -88,6 +96,75 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
 
+  unlockForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    unlockBtn.disabled = true;
+    unlockStatus.textContent = 'Unlocking...';
+    unlockStatus.className = 'action-status';
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'unlockStore', passphrase: unlockPassphrase.value });
+      if (result.success) {
+        unlockPassphrase.value = '';
+        unlockStatus.textContent = '';
+        await refresh();
+      } else {
+        unlockStatus.textContent = result.reason === 'wrong_passphrase' ? 'Wrong passphrase' : `Failed: ${result.reason}`;
+        unlockStatus.className = 'action-status error';
+      }
+    } catch (err) {
+      unlockStatus.textContent = 'Error: ' + err.message;
+      unlockStatus.className = 'action-status error';
+    }
+    unlockBtn.disabled = false;
+  });
+
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 250);
+  });
+
+  async function runSearch() {
+    const query = searchInput.value.trim();
+    searchResults.replaceChildren();
+    if (!query) return;
+    try {
+      const { results, reason } = await chrome.runtime.sendMessage({ action: 'searchContent', query, limit: 10 });
+      if (query !== searchInput.value.trim()) return; // stale response
+      if (reason === 'locked') {
+        searchResults.append(el('li', 'empty', 'Unlock to search'));
+        return;
+      }
+      if (reason === 'encrypted') {
+        searchResults.append(el('li', 'empty', 'Search is off while encryption is on'));
+        return;
+      }
+      if (!results || results.length === 0) {
+        searchResults.append(el('li', 'empty', 'No matches'));
+        return;
+      }
+      for (const r of results) {
+        const li = el('li');
+        li.append(
+          el('div', 'result-title', r.title || r.url),
+          el('div', 'result-meta', `${r.domain} · ${r.date}`),
+          el('div', 'result-snippet', r.snippet),
+        );
+        li.addEventListener('click', () => chrome.tabs.create({ url: r.url }));
+        searchResults.append(li);
+      }
+    } catch (e) {
+      searchResults.append(el('li', 'empty', 'Search failed: ' + e.message));
+    }
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
   async function refresh() {
     try {
       const status = await chrome.runtime.sendMessage({ action: 'getStatus' });
@@ -119,6 +196,19 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       digestBtn.disabled = !status.configured;
 
+      // Encrypted store: nothing below is readable until unlocked
+      const locked = status.encryption?.locked || false;
+      unlockForm.hidden = !locked;
+
+      // Today's numbers come from the live rollup
+      const today = locked ? null : await chrome.runtime.sendMessage({ action: 'getRollup' });
+      const [topDomain, topStats] = Object.entries(today?.domains || {})
+        .sort((a, b) => b[1].totalMs - a[1].totalMs || b[1].visits - a[1].visits)[0] || [];
+      activeToday.textContent = today?.activeMs ? formatDuration(today.activeMs) : '—';
+      topSiteToday.textContent = topDomain
+        ? `${topDomain}${topStats.totalMs ? ` (${formatDuration(topStats.totalMs)})` : ''}`
+        : '—';
+
       // Check import status
       const importStatus = await chrome.runtime.sendMessage({ action: 'getImportStatus' });
       if (importStatus.done) {
@@ -130,6 +220,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  function formatDuration(ms) {
+    if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+    if (ms < 3600000) return `${Math.round(ms / 60000)}min`;
+    const hours = Math.floor(ms / 3600000);
+    const mins = Math.round((ms % 3600000) / 60000);
+    return mins > 0 ? `${hours}h ${mins}min` : `${hours}h`;
+  }
+
   function timeAgo(date) {
     const s = Math.floor((Date.now() - date.getTime()) / 1000);
     if (s < 5) return 'just now';